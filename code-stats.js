@@ -0,0 +1,78 @@
+// Entropy and code-efficiency statistics for a frequency map and its codes.
+// Lengths are counted in code digits, so for a k-ary code the entropy is
+// taken in base k as well (bits when k = 2) and L - H stays comparable.
+
+// Information content -log_k(p) of a symbol with probability p
+function selfInformation(p, base = 2) {
+    return p > 0 ? -Math.log(p) / Math.log(base) : 0;
+}
+
+// Shannon entropy of a frequency map in base-k units (bits for k = 2)
+function entropyOf(freqMap, base = 2) {
+    let total = 0;
+    freqMap.forEach(freq => { total += Number(freq) || 0; });
+    if (total <= 0) return 0;
+    let h = 0;
+    freqMap.forEach(freq => {
+        const p = (Number(freq) || 0) / total;
+        if (p > 0) h += p * selfInformation(p, base);
+    });
+    return h;
+}
+
+// Kraft sum of code lengths; at most 1 for any prefix code, exactly 1 when
+// the code tree is full
+function kraftSum(lengths, base = 2) {
+    let sum = 0;
+    lengths.forEach(length => { sum += base ** -length; });
+    return sum;
+}
+
+// Savings against 8 bits per symbol. k-ary codes count digits, each worth
+// log2(k) bits, so the same tree shows the same savings in every view.
+function savingsPercent(totalDigits, symbolCount, arity = 2) {
+    const originalBits = symbolCount * 8;
+    const equivalentBits = totalDigits * Math.log2(arity);
+    return originalBits > 0 ? Math.max(0, (1 - equivalentBits / originalBits) * 100) : 0;
+}
+
+// H, L, L - H, H / L and the Kraft check, plus per-symbol -log_k(p) against
+// the actual code length. Symbols without a code (or with zero weight) are
+// left out of the averages.
+function computeCodeStats(freqMap, codes, arity = 2) {
+    const symbols = [];
+    let total = 0;
+    freqMap.forEach((freq, char) => {
+        const weight = Number(freq) || 0;
+        if (weight > 0 && codes.has(char)) total += weight;
+    });
+    freqMap.forEach((freq, char) => {
+        const weight = Number(freq) || 0;
+        const code = codes.get(char);
+        if (weight <= 0 || code === undefined) return;
+        const p = weight / total;
+        symbols.push({ char, freq: weight, p, information: selfInformation(p, arity), length: code.length });
+    });
+    symbols.sort((a, b) => b.p - a.p || (a.char < b.char ? -1 : a.char > b.char ? 1 : 0));
+
+    const entropy = symbols.reduce((sum, s) => sum + s.p * s.information, 0);
+    const averageLength = symbols.reduce((sum, s) => sum + s.p * s.length, 0);
+    const kraft = kraftSum(symbols.map(s => s.length), arity);
+    return {
+        arity,
+        total,
+        symbols,
+        entropy,
+        averageLength,
+        redundancy: averageLength - entropy,
+        efficiency: averageLength > 0 ? entropy / averageLength : 1,
+        kraftSum: kraft,
+        // Allow for floating point error in the sum
+        kraftOk: kraft <= 1 + 1e-9
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { selfInformation, entropyOf, kraftSum, savingsPercent, computeCodeStats };
+}
@@ -0,0 +1,226 @@
+// Other entropy coders run on the same frequency map as the Huffman tree, so
+// they can be compared side by side: fixed-length, Shannon coding,
+// Shannon-Fano, Huffman and a static-model arithmetic (range) coder.
+
+// Code point order, as canonical codes use (compareSymbols in huffman.js)
+function symbolOrder(a, b) {
+    const compare = typeof compareSymbols !== 'undefined' ? compareSymbols : require('./huffman.js').compareSymbols;
+    return compare(a, b);
+}
+
+// Symbols sorted by decreasing weight, ties by code point
+function sortedSymbols(freqMap) {
+    return Array.from(freqMap.entries())
+        .map(([char, freq]) => ({ char, freq: Number(freq) || 0 }))
+        .filter(sym => sym.freq > 0)
+        .sort((a, b) => b.freq - a.freq || symbolOrder(a.char, b.char));
+}
+
+// ⌈log₂ n⌉-bit codes numbered in symbol order
+function fixedLengthCodes(freqMap) {
+    const chars = sortedSymbols(freqMap).map(sym => sym.char).sort(symbolOrder);
+    let width = 1;
+    while (2 ** width < chars.length) width++;
+    return new Map(chars.map((char, i) => [char, i.toString(2).padStart(width, '0')]));
+}
+
+// Shannon coding: symbol i (by decreasing probability) gets the first
+// ⌈-log₂ p_i⌉ bits of the binary expansion of the cumulative probability of
+// the symbols before it. Integer arithmetic keeps the expansion exact.
+function shannonCodes(freqMap) {
+    const symbols = sortedSymbols(freqMap);
+    const total = symbols.reduce((sum, sym) => sum + sym.freq, 0);
+    const codes = new Map();
+    let cumulative = 0;
+    symbols.forEach(sym => {
+        // Smallest length with freq * 2^length >= total
+        let length = 0;
+        while (sym.freq * 2 ** length < total) length++;
+        length = Math.max(1, length);
+        let num = cumulative;
+        let code = '';
+        for (let i = 0; i < length; i++) {
+            num *= 2;
+            const bit = num >= total ? 1 : 0;
+            if (bit) num -= total;
+            code += bit;
+        }
+        codes.set(sym.char, code);
+        cumulative += sym.freq;
+    });
+    return codes;
+}
+
+// Static arithmetic coding with 32-bit integer ranges (Witten, Neal and
+// Cleary). Products range * cumulative must stay below 2^53, so large
+// models are scaled down to a 2^20 total.
+const ARITH_TOP = 2 ** 32 - 1;
+const ARITH_HALF = 2 ** 31;
+const ARITH_QUARTER = 2 ** 30;
+const ARITH_MAX_TOTAL = 2 ** 20;
+
+// Without a message, compareCoders encodes a sample of about this many symbols
+const ARITH_SAMPLE_SIZE = 10000;
+
+function arithmeticModel(freqMap) {
+    const symbols = sortedSymbols(freqMap);
+    const rawTotal = symbols.reduce((sum, sym) => sum + sym.freq, 0);
+    const scale = rawTotal > ARITH_MAX_TOTAL ? ARITH_MAX_TOTAL / rawTotal : 1;
+    const ranges = new Map();
+    let cumulative = 0;
+    symbols.forEach(sym => {
+        const freq = scale === 1 ? sym.freq : Math.max(1, Math.floor(sym.freq * scale));
+        ranges.set(sym.char, { low: cumulative, high: cumulative + freq });
+        cumulative += freq;
+    });
+    return { ranges, symbols: symbols.map(sym => sym.char), total: cumulative };
+}
+
+// Encode a sequence of symbols into a bit string
+function arithmeticEncode(message, freqMap) {
+    const { ranges, total } = arithmeticModel(freqMap);
+    const bits = [];
+    let low = 0;
+    let high = ARITH_TOP;
+    let pending = 0;
+    const emit = (bit) => {
+        bits.push(bit);
+        for (; pending > 0; pending--) bits.push(1 - bit);
+    };
+    for (let i = 0; i < message.length; i++) {
+        const range = ranges.get(message[i]);
+        if (!range) {
+            const error = new Error(`Symbol '${message[i]}' at position ${i} is not in the model`);
+            error.position = i;
+            throw error;
+        }
+        const width = high - low + 1;
+        high = low + Math.floor(width * range.high / total) - 1;
+        low = low + Math.floor(width * range.low / total);
+        while (true) {
+            if (high < ARITH_HALF) {
+                emit(0);
+            } else if (low >= ARITH_HALF) {
+                emit(1);
+                low -= ARITH_HALF;
+                high -= ARITH_HALF;
+            } else if (low >= ARITH_QUARTER && high < 3 * ARITH_QUARTER) {
+                pending++;
+                low -= ARITH_QUARTER;
+                high -= ARITH_QUARTER;
+            } else {
+                break;
+            }
+            low *= 2;
+            high = high * 2 + 1;
+        }
+    }
+    // Two more bits pick a point inside the final interval
+    pending++;
+    emit(low < ARITH_QUARTER ? 0 : 1);
+    return bits.join('');
+}
+
+// Decode `length` symbols from a bit string produced by arithmeticEncode
+function arithmeticDecode(bits, length, freqMap) {
+    const { ranges, symbols, total } = arithmeticModel(freqMap);
+    let position = 0;
+    const nextBit = () => (position < bits.length ? bits.charCodeAt(position++) - 48 : 0);
+    let value = 0;
+    for (let i = 0; i < 32; i++) value = value * 2 + nextBit();
+    let low = 0;
+    let high = ARITH_TOP;
+    const message = [];
+    for (let n = 0; n < length; n++) {
+        const width = high - low + 1;
+        const target = Math.floor(((value - low + 1) * total - 1) / width);
+        // Binary search for the symbol whose range contains target
+        let lo = 0;
+        let hi = symbols.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (ranges.get(symbols[mid]).high > target) hi = mid;
+            else lo = mid + 1;
+        }
+        const char = symbols[lo];
+        const range = ranges.get(char);
+        message.push(char);
+        high = low + Math.floor(width * range.high / total) - 1;
+        low = low + Math.floor(width * range.low / total);
+        while (true) {
+            if (high < ARITH_HALF) {
+                // nothing to subtract
+            } else if (low >= ARITH_HALF) {
+                low -= ARITH_HALF;
+                high -= ARITH_HALF;
+                value -= ARITH_HALF;
+            } else if (low >= ARITH_QUARTER && high < 3 * ARITH_QUARTER) {
+                low -= ARITH_QUARTER;
+                high -= ARITH_QUARTER;
+                value -= ARITH_QUARTER;
+            } else {
+                break;
+            }
+            low *= 2;
+            high = high * 2 + 1;
+            value = value * 2 + nextBit();
+        }
+    }
+    return message;
+}
+
+// Run every coder on the frequency map. `message` (an array of symbols) is
+// what the arithmetic coder encodes; without one, each symbol is repeated
+// freq times (scaled down to about ARITH_SAMPLE_SIZE symbols in all).
+// Returns per-coder totals, bits per symbol and the gap to the entropy,
+// plus the per-symbol codes where a coder has them.
+function compareCoders(freqMap, message = null) {
+    const Coding = typeof HuffmanCoding !== 'undefined' ? HuffmanCoding : require('./huffman.js').HuffmanCoding;
+    const symbols = sortedSymbols(freqMap);
+    const count = symbols.reduce((sum, sym) => sum + sym.freq, 0);
+    let entropy = 0;
+    symbols.forEach(sym => {
+        const p = sym.freq / count;
+        entropy -= p * Math.log2(p);
+    });
+
+    const treeCodes = (build) => {
+        const coding = new Coding();
+        const root = build(coding);
+        coding.generateCodes(root);
+        return new Map(coding.codes);
+    };
+    const coders = [
+        { name: 'fixed length', codes: fixedLengthCodes(freqMap) },
+        { name: 'shannon', codes: shannonCodes(freqMap) },
+        { name: 'shannon-fano', codes: treeCodes(coding => coding.buildShannonFano(freqMap)) },
+        { name: 'huffman', codes: treeCodes(coding => coding.buildTree(freqMap)) }
+    ];
+    const rows = coders.map(({ name, codes }) => {
+        const totalBits = symbols.reduce((sum, sym) => sum + codes.get(sym.char).length * sym.freq, 0);
+        return { name, codes, totalBits };
+    });
+
+    // The arithmetic model counts whole occurrences; fractional weights
+    // (probabilities) and large counts are scaled to a bounded sample
+    const model = message || (symbols.every(sym => Number.isInteger(sym.freq)) && count <= ARITH_SAMPLE_SIZE)
+        ? freqMap
+        : new Map(symbols.map(sym => [sym.char, Math.max(1, Math.round(sym.freq / count * ARITH_SAMPLE_SIZE))]));
+    const input = message || Array.from(model.entries()).flatMap(([char, freq]) => Array(freq).fill(char));
+    const arithmeticBits = arithmeticEncode(input, model);
+    const decoded = arithmeticDecode(arithmeticBits, input.length, model);
+    const roundTrip = decoded.length === input.length && decoded.every((c, i) => c === input[i]);
+    // Per-symbol figures scale to the frequency map's count
+    rows.push({ name: 'arithmetic', codes: null, totalBits: arithmeticBits.length * (count / (input.length || 1)), roundTrip });
+
+    rows.forEach(row => {
+        row.bitsPerSymbol = count > 0 ? row.totalBits / count : 0;
+        row.gap = row.bitsPerSymbol - entropy;
+    });
+    return { symbols, count, entropy, rows };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { fixedLengthCodes, shannonCodes, arithmeticEncode, arithmeticDecode, compareCoders };
+}
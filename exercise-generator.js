@@ -0,0 +1,115 @@
+// Practice exercises: random frequency tables drawn from a seed, so the same
+// seed always gives the same table and a worksheet and its answer key made
+// separately still agree.
+
+const EXERCISE_DISTRIBUTIONS = {
+    uniform: 'uniform',
+    zipf: 'zipf (few heavy, many light)',
+    geometric: 'geometric',
+    fibonacci: 'fibonacci (deepest tree)'
+};
+const EXERCISE_SYMBOLS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+// Geometric and Fibonacci weights grow exponentially; past this they stop
+// being readable (and exact) integers
+const EXERCISE_MAX_EXPONENTIAL_SIZE = 30;
+
+// Deterministic generator in [0, 1): mulberry32 seeded with the FNV-1a hash
+// of the seed text
+function seededRandom(seed) {
+    let state = 0x811c9dc5;
+    for (const ch of String(seed)) {
+        state ^= ch.codePointAt(0);
+        state = Math.imul(state, 0x01000193) >>> 0;
+    }
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A short seed for a new exercise
+function randomSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
+
+// { seed, size, distribution, ties, rows: [{ char, freq }] }. With `ties`,
+// about a quarter of the symbols copy another symbol's weight.
+function generateExercise({ seed, size = 8, distribution = 'uniform', ties = false }) {
+    const text = String(seed ?? '').trim();
+    if (!text) throw new Error('Enter a seed for the exercise');
+    if (!Number.isInteger(size) || size < 2 || size > EXERCISE_SYMBOLS.length) {
+        throw new Error(`Alphabet size must be a whole number from 2 to ${EXERCISE_SYMBOLS.length}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(EXERCISE_DISTRIBUTIONS, distribution)) {
+        throw new Error(`Unknown distribution: ${distribution}`);
+    }
+    if ((distribution === 'geometric' || distribution === 'fibonacci') && size > EXERCISE_MAX_EXPONENTIAL_SIZE) {
+        throw new Error(`${distribution} weights grow too fast for more than ${EXERCISE_MAX_EXPONENTIAL_SIZE} symbols`);
+    }
+
+    const random = seededRandom(text);
+    const int = (n) => Math.floor(random() * n);
+    let weights;
+    if (distribution === 'zipf') {
+        const exponent = 0.8 + random() * 0.6;
+        weights = Array.from({ length: size }, (_, r) => Math.max(1, Math.round(100 / (r + 1) ** exponent)));
+    } else if (distribution === 'geometric') {
+        const ratio = 1.5 + random() * 0.5;
+        weights = Array.from({ length: size }, (_, r) => Math.round(ratio ** r));
+    } else if (distribution === 'fibonacci') {
+        weights = [1, 1];
+        while (weights.length < size) weights.push(weights[weights.length - 1] + weights[weights.length - 2]);
+        weights.length = size;
+    } else {
+        weights = Array.from({ length: size }, () => 1 + int(40));
+    }
+    if (ties) {
+        for (let n = Math.max(1, Math.floor(size / 4)); n > 0; n--) {
+            const from = int(size);
+            const to = (from + 1 + int(size - 1)) % size;
+            weights[to] = weights[from];
+        }
+    }
+    // Shuffle so the heaviest symbol is not always the last letter
+    for (let i = size - 1; i > 0; i--) {
+        const j = int(i + 1);
+        [weights[i], weights[j]] = [weights[j], weights[i]];
+    }
+    return {
+        seed: text,
+        size,
+        distribution,
+        ties,
+        rows: weights.map((freq, i) => ({ char: EXERCISE_SYMBOLS[i], freq }))
+    };
+}
+
+// Answers for an exercise built with the given options: the tree, each
+// symbol's code and bits, the total and the merges in order
+function exerciseAnswerKey(exercise, { tieBreak = 'symbol', arity = 2 } = {}) {
+    const Coding = typeof HuffmanCoding !== 'undefined' ? HuffmanCoding : require('./huffman.js').HuffmanCoding;
+    const huffman = new Coding();
+    huffman.setTieBreak(tieBreak);
+    huffman.setArity(arity);
+    const root = huffman.buildTree(new Map(exercise.rows.map(({ char, freq }) => [char, freq])));
+    huffman.generateCodes(root);
+    const rows = exercise.rows.map(({ char, freq }) => {
+        const code = huffman.codes.get(char);
+        return { char, freq, code, bits: freq * code.length };
+    });
+    return {
+        huffman,
+        root,
+        rows,
+        totalBits: rows.reduce((sum, row) => sum + row.bits, 0),
+        merges: huffman.steps.filter(step => step.highlightNodes.length >= 2).map(step => step.description)
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { seededRandom, randomSeed, generateExercise, exerciseAnswerKey, EXERCISE_DISTRIBUTIONS };
+}
@@ -0,0 +1,151 @@
+// Binary containers for exporting the step sequence: a store-only ZIP
+// archive (numbered image files) and an animated PNG assembled from
+// per-step PNG frames. Both only need CRC-32 on top of what the browser
+// already provides (canvas.toBlob gives compressed PNG data).
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes, crc = 0) {
+    let c = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return ~c >>> 0;
+}
+
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    parts.forEach(p => {
+        out.set(p, offset);
+        offset += p.length;
+    });
+    return out;
+}
+
+// ZIP archive without compression. `files` is a list of { name, data } with
+// data as a Uint8Array; PNG data is already compressed.
+function makeZip(files, date = new Date()) {
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const encoder = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+        const local = new Uint8Array(30 + nameBytes.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034b50, true);
+        lv.setUint16(4, 20, true);
+        lv.setUint16(6, 0x0800, true); // UTF-8 names
+        lv.setUint16(8, 0, true); // stored
+        lv.setUint16(10, dosTime, true);
+        lv.setUint16(12, dosDate, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, nameBytes.length, true);
+        local.set(nameBytes, 30);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014b50, true);
+        cv.setUint16(4, 20, true);
+        cv.setUint16(6, 20, true);
+        cv.setUint16(8, 0x0800, true);
+        cv.setUint16(10, 0, true);
+        cv.setUint16(12, dosTime, true);
+        cv.setUint16(14, dosDate, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, nameBytes.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(nameBytes, 46);
+
+        locals.push(local, data);
+        centrals.push(central);
+        offset += local.length + data.length;
+    });
+    const directory = concatBytes(centrals);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, directory.length, true);
+    ev.setUint32(16, offset, true);
+    return concatBytes([...locals, directory, end]);
+}
+
+// Split a PNG file into its chunks ({ type, data })
+function readPngChunks(png) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const chunks = [];
+    for (let pos = 8; pos < png.length;) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...png.subarray(pos + 4, pos + 8));
+        chunks.push({ type, data: png.subarray(pos + 8, pos + 8 + length) });
+        pos += 12 + length;
+    }
+    return chunks;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// Animated PNG from same-sized PNG frames, each shown for delayMs, looping
+function makeApng(frames, delayMs = 1000) {
+    const signature = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+    const parsed = frames.map(readPngChunks);
+    const ihdr = parsed[0].find(c => c.type === 'IHDR').data;
+    const width = new DataView(ihdr.buffer, ihdr.byteOffset).getUint32(0);
+    const height = new DataView(ihdr.buffer, ihdr.byteOffset).getUint32(4);
+
+    const actl = new Uint8Array(8);
+    new DataView(actl.buffer).setUint32(0, frames.length); // then num_plays 0 = loop forever
+    const parts = [signature, pngChunk('IHDR', ihdr), pngChunk('acTL', actl)];
+    let sequence = 0;
+    parsed.forEach((chunks, index) => {
+        const fctl = new Uint8Array(26);
+        const fv = new DataView(fctl.buffer);
+        fv.setUint32(0, sequence++);
+        fv.setUint32(4, width);
+        fv.setUint32(8, height);
+        fv.setUint16(20, Math.round(delayMs));
+        fv.setUint16(22, 1000);
+        parts.push(pngChunk('fcTL', fctl));
+        chunks.filter(c => c.type === 'IDAT').forEach(c => {
+            if (index === 0) {
+                parts.push(pngChunk('IDAT', c.data));
+                return;
+            }
+            const fdat = new Uint8Array(4 + c.data.length);
+            new DataView(fdat.buffer).setUint32(0, sequence++);
+            fdat.set(c.data, 4);
+            parts.push(pngChunk('fdAT', fdat));
+        });
+    });
+    parts.push(pngChunk('IEND', new Uint8Array(0)));
+    return concatBytes(parts);
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { crc32, makeZip, makeApng };
+}
@@ -0,0 +1,216 @@
+// Frequency tables as text: CSV, TSV or JSON with one symbol and its weight
+// per entry. Whitespace and control symbols are written as escapes:
+//   space     a space          \n  \t  \r   newline, tab, carriage return
+//   \\        a backslash      \uXXXX or \u{X...}   any code point
+// Parse errors carry the 1-based line number of the offending entry.
+
+const FREQ_TABLE_FORMATS = ['csv', 'tsv', 'json'];
+const SYMBOL_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\' };
+
+function tableError(line, message) {
+    const error = new Error(`line ${line}: ${message}`);
+    error.line = line;
+    return error;
+}
+
+// One symbol from its written form: a single character, `space` or an escape
+function parseSymbol(raw) {
+    if (Array.from(raw).length === 1) return raw;
+    if (raw.toLowerCase() === 'space') return ' ';
+    let match = /^\\([ntr\\])$/.exec(raw);
+    if (match) return SYMBOL_ESCAPES[match[1]];
+    match = /^\\u(?:([0-9a-fA-F]{4})|\{([0-9a-fA-F]{1,6})\})$/.exec(raw);
+    if (match) {
+        const code = parseInt(match[1] || match[2], 16);
+        if (code > 0x10ffff) throw new Error(`'${raw}' is beyond U+10FFFF`);
+        return String.fromCodePoint(code);
+    }
+    if (raw === '') throw new Error('symbol is empty');
+    throw new Error(`symbol '${raw}' must be one character, 'space' or an escape like \\n, \\t or \\u00a0`);
+}
+
+// Written form of a symbol, the inverse of parseSymbol
+function formatSymbol(char) {
+    if (char === ' ') return 'space';
+    const escape = Object.keys(SYMBOL_ESCAPES).find(key => SYMBOL_ESCAPES[key] === char);
+    if (escape) return `\\${escape}`;
+    // Other control, separator and invisible characters as code points
+    if (/^[\p{C}\p{Z}]$/u.test(char)) {
+        const code = char.codePointAt(0);
+        return code > 0xffff ? `\\u{${code.toString(16)}}` : `\\u${code.toString(16).padStart(4, '0')}`;
+    }
+    return char;
+}
+
+// A weight is a positive number: a count, a decimal weight or a probability
+function parseWeight(raw) {
+    const text = String(raw).trim();
+    if (text === '') throw new Error('weight is missing');
+    if (!/^(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text) || !(Number(text) > 0) || !Number.isFinite(Number(text))) {
+        throw new Error(`weight '${text}' must be a positive number`);
+    }
+    return Number(text);
+}
+
+// Fields of one CSV line; double quotes group fields and "" is a quote
+function splitCsvLine(line, lineNumber) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field.trim() === '') {
+            quoted = true;
+            field = '';
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (quoted) throw tableError(lineNumber, 'unclosed quote');
+    fields.push(field);
+    return fields;
+}
+
+// Offsets where each top-level entry of a JSON array or object starts, so
+// errors in an entry can name its line
+function jsonEntryOffsets(text) {
+    const offsets = [];
+    let depth = 0;
+    let inString = false;
+    let expectEntry = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (/\s/.test(ch)) continue;
+        if (depth === 1 && expectEntry && ch !== ']' && ch !== '}') {
+            offsets.push(i);
+            expectEntry = false;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '[' || ch === '{') {
+            depth++;
+            if (depth === 1) expectEntry = true;
+        } else if (ch === ']' || ch === '}') depth--;
+        else if (ch === ',' && depth === 1) expectEntry = true;
+    }
+    return offsets;
+}
+
+function lineAt(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+// JSON: [["a", 5], ...], [{"symbol": "a", "freq": 5}, ...] or {"a": 5, ...}
+function parseJsonTable(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        const position = /position (\d+)/.exec(e.message);
+        throw tableError(position ? lineAt(text, Number(position[1])) : 1, `not valid JSON (${e.message})`);
+    }
+    const offsets = jsonEntryOffsets(text);
+    let entries;
+    if (Array.isArray(data)) {
+        entries = data.map(item => (Array.isArray(item) ? item : [item && (item.symbol ?? item.char), item && (item.freq ?? item.weight)]));
+    } else if (data && typeof data === 'object') {
+        // JSON.parse keeps only the last of repeated keys, so read the keys
+        // from the text to catch duplicates
+        entries = offsets.map(offset => {
+            const key = JSON.parse(/^"(?:[^"\\]|\\.)*"/.exec(text.slice(offset))[0]);
+            return [key, data[key]];
+        });
+    } else {
+        throw tableError(1, 'expected an array of [symbol, weight] pairs or an object of symbol: weight');
+    }
+    return entries.map(([symbol, freq], i) => ({
+        symbol: typeof symbol === 'string' ? symbol : '',
+        weight: freq === undefined || freq === null ? '' : String(freq),
+        line: offsets[i] !== undefined ? lineAt(text, offsets[i]) : 1
+    }));
+}
+
+// Parse a table into [{ char, freq, line }]. The format is guessed from the
+// text unless given: JSON starts with [ or {, TSV has a tab on its first line.
+// Blank lines, # comments and a header row (symbol,freq) are skipped.
+function parseFreqTable(text, format = null) {
+    const trimmed = text.trim();
+    const kind = format || (/^[[{]/.test(trimmed) ? 'json' : /\t/.test(trimmed.split('\n')[0]) ? 'tsv' : 'csv');
+    if (!FREQ_TABLE_FORMATS.includes(kind)) throw new Error(`Unknown table format: ${kind}`);
+
+    let raw;
+    if (kind === 'json') {
+        raw = parseJsonTable(text);
+    } else {
+        raw = [];
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (line.trim() === '' || line.trim().startsWith('#')) return;
+            const fields = kind === 'tsv' ? line.split('\t') : splitCsvLine(line, i + 1);
+            if (fields.length !== 2) {
+                throw tableError(i + 1, `expected 2 fields (symbol${kind === 'tsv' ? ' <tab> ' : ','}weight), found ${fields.length}`);
+            }
+            const weight = fields[1].trim();
+            // Header row
+            if (!raw.length && /^(symbol|char|character)$/i.test(fields[0].trim()) && !/^\d/.test(weight)) return;
+            // Surrounding spaces are padding unless the whole field is a space
+            const symbol = fields[0].trim() === '' ? fields[0] : fields[0].trim();
+            raw.push({ symbol, weight, line: i + 1 });
+        });
+    }
+
+    const seen = new Map();
+    const rows = raw.map(({ symbol, weight, line }) => {
+        let char;
+        let freq;
+        try {
+            char = parseSymbol(symbol);
+            freq = parseWeight(weight);
+        } catch (e) {
+            throw tableError(line, e.message);
+        }
+        if (seen.has(char)) {
+            throw tableError(line, `duplicate symbol '${formatSymbol(char)}' (first on line ${seen.get(char)})`);
+        }
+        seen.set(char, line);
+        return { char, freq, line };
+    });
+    if (!rows.length) throw tableError(1, 'the table is empty');
+    return rows;
+}
+
+// Write [{ char, freq }] in one of FREQ_TABLE_FORMATS
+function formatFreqTable(rows, format = 'csv') {
+    if (format === 'json') {
+        const lines = rows.map(({ char, freq }) => `  {"symbol": ${JSON.stringify(formatSymbol(char))}, "freq": ${freq}}`);
+        return `[\n${lines.join(',\n')}\n]\n`;
+    }
+    // A row starting with # would read back as a comment
+    const symbol = (char) => (char === '#' ? '\\u0023' : formatSymbol(char));
+    if (format === 'tsv') {
+        return `symbol\tfreq\n${rows.map(({ char, freq }) => `${symbol(char)}\t${freq}`).join('\n')}\n`;
+    }
+    if (format !== 'csv') throw new Error(`Unknown table format: ${format}`);
+    const field = (s) => (/[",]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+    return `symbol,freq\n${rows.map(({ char, freq }) => `${field(symbol(char))},${freq}`).join('\n')}\n`;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseSymbol, formatSymbol, parseWeight, parseFreqTable, formatFreqTable, FREQ_TABLE_FORMATS };
+}
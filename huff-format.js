@@ -0,0 +1,302 @@
+// .huff container: the reference implementation of the compressed file
+// format. All integers are big-endian and bits are packed MSB-first.
+//
+//   offset  size  field
+//   0       4     magic "HUFF"
+//   4       1     version (1)
+//   5       1     symbol mode: 0 = bytes, 1 = UTF-8 code points
+//   6       1     code table: 0 = canonical code lengths, 1 = pre-order tree
+//   7       1     padding bits at the end of the payload (0-7)
+//   8       4     original length in symbols (bytes or code points)
+//   12      4     code table size in bytes
+//   16      ...   code table, then the packed payload to the end of the file
+//
+// Canonical lengths table: uint32 symbol count, then per symbol (sorted by
+// length, then symbol) the symbol (1 byte, or a 3-byte code point) and its
+// code length (1 byte). Codes are assigned canonically: each length takes
+// the next code after the previous one, shifted left by the length increase.
+//
+// Tree table: the code tree in pre-order, one bit per node: 0 for an internal
+// node (followed by its 0 and 1 subtrees), 1 for a leaf followed by its
+// symbol (8 bits, or 21 bits for a code point), padded to a whole byte. A
+// one-symbol code is stored as a lone leaf and its code is 0.
+
+const HUFF_MAGIC = [0x48, 0x55, 0x46, 0x46];
+const HUFF_VERSION = 1;
+const HUFF_HEADER_SIZE = 16;
+const HUFF_SYMBOL_MODES = ['bytes', 'utf8'];
+const HUFF_TABLE_TYPES = ['lengths', 'tree'];
+
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.bitCount = 0;
+    }
+
+    write(value, width) {
+        for (let i = width - 1; i >= 0; i--) {
+            if ((this.bitCount & 7) === 0) this.bytes.push(0);
+            if (Math.floor(value / 2 ** i) & 1) {
+                this.bytes[this.bytes.length - 1] |= 0x80 >> (this.bitCount & 7);
+            }
+            this.bitCount++;
+        }
+    }
+
+    // Code strings of '0'/'1'
+    writeBits(bits) {
+        for (let i = 0; i < bits.length; i++) this.write(bits.charCodeAt(i) - 48, 1);
+    }
+
+    // Number of zero bits filling the last byte
+    padding() {
+        return (8 - (this.bitCount & 7)) & 7;
+    }
+
+    toBytes() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+class BitReader {
+    constructor(bytes, bitLength = bytes.length * 8) {
+        this.bytes = bytes;
+        this.bitLength = bitLength;
+        this.position = 0;
+    }
+
+    read(width) {
+        if (this.position + width > this.bitLength) {
+            throw new Error(`Unexpected end of data at bit ${this.position}`);
+        }
+        let value = 0;
+        for (let i = 0; i < width; i++, this.position++) {
+            const bit = (this.bytes[this.position >> 3] >> (7 - (this.position & 7))) & 1;
+            value = value * 2 + bit;
+        }
+        return value;
+    }
+}
+
+function symbolWidth(symbolMode) {
+    return symbolMode === 'bytes' ? 8 : 21;
+}
+
+// Canonical codes from a symbol -> length map (same order as the table)
+function canonicalCodesFromLengths(lengths) {
+    const Coding = typeof HuffmanCoding !== 'undefined' ? HuffmanCoding : require('./huffman.js').HuffmanCoding;
+    return new Coding().codesFromLengths(lengths);
+}
+
+function writeLengthsTable(codes, symbolMode) {
+    const entries = Array.from(codes.entries(), ([char, code]) => [char, code.length])
+        .sort((a, b) => a[1] - b[1] || a[0].codePointAt(0) - b[0].codePointAt(0));
+    const longest = entries[entries.length - 1];
+    if (longest && longest[1] > 255) {
+        throw new Error(`A lengths table stores lengths up to 255 bits; the longest code is ${longest[1]} bits (use a length limit or the tree table)`);
+    }
+    const out = new BitWriter();
+    out.write(entries.length, 32);
+    entries.forEach(([char, length]) => {
+        out.write(char.codePointAt(0), symbolMode === 'bytes' ? 8 : 24);
+        out.write(length, 8);
+    });
+    return out.toBytes();
+}
+
+function readLengthsTable(bytes, symbolMode) {
+    const input = new BitReader(bytes);
+    const count = input.read(32);
+    const lengths = new Map();
+    let longest = 0;
+    for (let i = 0; i < count; i++) {
+        const codePoint = input.read(symbolMode === 'bytes' ? 8 : 24);
+        if (codePoint > 0x10ffff) throw new Error(`Invalid code lengths table: entry ${i + 1} is beyond U+10FFFF`);
+        const char = String.fromCodePoint(codePoint);
+        const length = input.read(8);
+        if (length === 0) throw new Error(`Invalid code lengths table: entry ${i + 1} has a zero-length code`);
+        if (lengths.has(char)) throw new Error(`Invalid code lengths table: entry ${i + 1} repeats a symbol`);
+        lengths.set(char, length);
+        longest = Math.max(longest, length);
+    }
+    // Kraft: the lengths fit a prefix code only if sum 2^-length <= 1,
+    // summed exactly in units of 2^-longest
+    let used = 0n;
+    lengths.forEach(length => { used += 1n << BigInt(longest - length); });
+    if (used > 1n << BigInt(longest)) {
+        throw new Error('Invalid code lengths table: the lengths do not fit a prefix code (Kraft sum above 1)');
+    }
+    return canonicalCodesFromLengths(lengths);
+}
+
+// Codes as a nested trie of [zero, one] pairs with symbol strings at the leaves
+function codeTrie(codes) {
+    const root = [null, null];
+    codes.forEach((code, char) => {
+        let node = root;
+        for (let i = 0; i < code.length - 1; i++) {
+            const digit = code.charCodeAt(i) - 48;
+            if (node[digit] === null) node[digit] = [null, null];
+            node = node[digit];
+        }
+        node[code.charCodeAt(code.length - 1) - 48] = char;
+    });
+    return root;
+}
+
+function writeTreeTable(codes, symbolMode) {
+    const out = new BitWriter();
+    const width = symbolWidth(symbolMode);
+    if (codes.size === 1) {
+        out.write(1, 1);
+        out.write(codes.keys().next().value.codePointAt(0), width);
+        return out.toBytes();
+    }
+    const dump = (node) => {
+        if (node === null) {
+            throw new Error('A tree table needs a full binary code tree, where every internal node has two children; use canonical lengths for this code');
+        }
+        if (typeof node === 'string') {
+            out.write(1, 1);
+            out.write(node.codePointAt(0), width);
+            return;
+        }
+        out.write(0, 1);
+        dump(node[0]);
+        dump(node[1]);
+    };
+    dump(codeTrie(codes));
+    return out.toBytes();
+}
+
+function readTreeTable(bytes, symbolMode) {
+    const input = new BitReader(bytes);
+    const width = symbolWidth(symbolMode);
+    const codes = new Map();
+    const parse = (prefix) => {
+        if (input.read(1) === 1) {
+            const codePoint = input.read(width);
+            if (codePoint > 0x10ffff) throw new Error(`Invalid code tree: a leaf at ${prefix || 'the root'} is beyond U+10FFFF`);
+            const char = String.fromCodePoint(codePoint);
+            if (codes.has(char)) throw new Error('Invalid code tree: two leaves hold the same symbol');
+            // A lone leaf is a one-symbol code
+            codes.set(char, prefix || '0');
+            return;
+        }
+        parse(prefix + '0');
+        parse(prefix + '1');
+    };
+    parse('');
+    return codes;
+}
+
+// Encode `text` (symbols as one string: U+0000..U+00FF characters in byte
+// mode) with the given binary codes. The lengths table stores canonical
+// codes, so the payload uses the canonical code of each symbol; the tree
+// table stores the codes as they are.
+function writeHuffFile(text, codes, { symbolMode = 'utf8', table = 'lengths' } = {}) {
+    if (!HUFF_SYMBOL_MODES.includes(symbolMode)) throw new Error(`Unknown symbol mode: ${symbolMode}`);
+    if (!HUFF_TABLE_TYPES.includes(table)) throw new Error(`Unknown code table type: ${table}`);
+    if (Array.from(codes.values()).some(code => /[^01]/.test(code))) {
+        throw new Error('.huff files need a binary (arity 2) code');
+    }
+    // Symbols are stored as one byte or one code point each
+    for (const char of codes.keys()) {
+        const codePoint = char.codePointAt(0);
+        if (String.fromCodePoint(codePoint) !== char) {
+            throw new Error(`Symbol '${char}' is not a single character and cannot be stored in a .huff file`);
+        }
+        if (symbolMode === 'bytes' && codePoint > 0xff) {
+            throw new Error(`Byte mode stores symbols 0x00-0xFF; U+${codePoint.toString(16).toUpperCase().padStart(4, '0')} is not a byte`);
+        }
+    }
+    const tableBytes = table === 'lengths' ? writeLengthsTable(codes, symbolMode) : writeTreeTable(codes, symbolMode);
+    const payloadCodes = table === 'lengths'
+        ? canonicalCodesFromLengths(new Map(Array.from(codes.entries(), ([char, code]) => [char, code.length])))
+        : codes;
+
+    const payload = new BitWriter();
+    let length = 0;
+    for (const char of text) {
+        const code = payloadCodes.get(char);
+        if (code === undefined) {
+            const error = new Error(`No code for symbol at position ${length}`);
+            error.position = length;
+            throw error;
+        }
+        payload.writeBits(code);
+        length++;
+    }
+    const payloadBytes = payload.toBytes();
+
+    const file = new Uint8Array(HUFF_HEADER_SIZE + tableBytes.length + payloadBytes.length);
+    const view = new DataView(file.buffer);
+    file.set(HUFF_MAGIC, 0);
+    view.setUint8(4, HUFF_VERSION);
+    view.setUint8(5, HUFF_SYMBOL_MODES.indexOf(symbolMode));
+    view.setUint8(6, HUFF_TABLE_TYPES.indexOf(table));
+    view.setUint8(7, payload.padding());
+    view.setUint32(8, length);
+    view.setUint32(12, tableBytes.length);
+    file.set(tableBytes, HUFF_HEADER_SIZE);
+    file.set(payloadBytes, HUFF_HEADER_SIZE + tableBytes.length);
+    return file;
+}
+
+// Parse and decode a .huff file. Returns the header fields, the codes from
+// the table, the decoded symbols as a string and the original bytes.
+function readHuffFile(file) {
+    const bytes = file instanceof Uint8Array ? file : new Uint8Array(file);
+    if (bytes.length < HUFF_HEADER_SIZE) {
+        throw new Error(`Not a .huff file: ${bytes.length} bytes is shorter than the ${HUFF_HEADER_SIZE}-byte header`);
+    }
+    if (HUFF_MAGIC.some((b, i) => bytes[i] !== b)) {
+        throw new Error('Not a .huff file: bad magic (expected "HUFF")');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint8(4);
+    if (version !== HUFF_VERSION) throw new Error(`Unsupported .huff version ${version}`);
+    const symbolMode = HUFF_SYMBOL_MODES[view.getUint8(5)];
+    if (!symbolMode) throw new Error(`Unknown symbol mode ${view.getUint8(5)}`);
+    const table = HUFF_TABLE_TYPES[view.getUint8(6)];
+    if (!table) throw new Error(`Unknown code table type ${view.getUint8(6)}`);
+    const padding = view.getUint8(7);
+    const length = view.getUint32(8);
+    const tableSize = view.getUint32(12);
+    const payloadStart = HUFF_HEADER_SIZE + tableSize;
+    if (payloadStart > bytes.length) {
+        throw new Error(`Truncated file: code table needs ${tableSize} bytes, ${bytes.length - HUFF_HEADER_SIZE} left`);
+    }
+    const tableBytes = bytes.subarray(HUFF_HEADER_SIZE, payloadStart);
+    const codes = table === 'lengths' ? readLengthsTable(tableBytes, symbolMode) : readTreeTable(tableBytes, symbolMode);
+
+    // Walk the code trie bit by bit
+    const payloadBytes = bytes.subarray(payloadStart);
+    const bitLength = payloadBytes.length * 8 - padding;
+    if (padding > 7 || bitLength < 0) throw new Error(`Invalid padding: ${padding} bits`);
+    const input = new BitReader(payloadBytes, bitLength);
+    const trie = codeTrie(codes);
+    const symbols = [];
+    while (symbols.length < length) {
+        const start = input.position;
+        let node = trie;
+        while (typeof node !== 'string') {
+            if (input.position >= bitLength) {
+                throw new Error(`Payload ends in the middle of a code at bit ${start} (decoded ${symbols.length} of ${length} symbols)`);
+            }
+            node = node[input.read(1)];
+            if (node === null) throw new Error(`No code matches the bits at ${start}`);
+        }
+        symbols.push(node);
+    }
+    const text = symbols.join('');
+    const original = symbolMode === 'bytes'
+        ? Uint8Array.from(symbols, char => char.charCodeAt(0))
+        : new TextEncoder().encode(text);
+    return { version, symbolMode, table, length, codes, text, bytes: original };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { writeHuffFile, readHuffFile, HUFF_MAGIC, HUFF_VERSION };
+}
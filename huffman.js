@@ -1,25 +1,151 @@
+// Browser: priority-queue.js is loaded before this file; Node: require it
+const PriorityQueue = typeof MinHeap !== 'undefined' ? MinHeap : require('./priority-queue.js').MinHeap;
+
 class HuffmanNode {
-    constructor(char, freq, left = null, right = null) {
+    constructor(char, freq, left = null, right = null, id = null, children = null) {
         this.char = char;
         this.freq = freq;
-        this.left = left;
-        this.right = right;
-        this.id = Math.random().toString(36).substr(2, 9);
+        // Children in code-digit order (n-ary trees); binary nodes also get left/right
+        this.children = children || (left || right ? [left, right] : []);
+        this.left = children ? (children.length === 2 ? children[0] : null) : left;
+        this.right = children ? (children.length === 2 ? children[1] : null) : right;
+        this.id = id || Math.random().toString(36).substr(2, 9);
     }
 
     isLeaf() {
-        return !this.left && !this.right;
+        return this.children.length === 0;
+    }
+}
+
+// Leaf that stands for no symbol (the adaptive NYT escape, n-ary padding).
+// Its label is only shown, so a real symbol may have the same name.
+function placeholderLeaf(label, freq, id = null) {
+    const node = new HuffmanNode(label, freq, null, null, id);
+    node.placeholder = true;
+    return Object.freeze(node);
+}
+
+// Order symbols by code point (the order canonical codes are assigned in)
+function compareSymbols(a, b) {
+    const sa = String(a);
+    const sb = String(b);
+    let i = 0;
+    let j = 0;
+    while (i < sa.length && j < sb.length) {
+        const ca = sa.codePointAt(i);
+        const cb = sb.codePointAt(j);
+        if (ca !== cb) return ca - cb;
+        i += ca > 0xffff ? 2 : 1;
+        j += cb > 0xffff ? 2 : 1;
+    }
+    return (sa.length - i) - (sb.length - j);
+}
+
+// Visible label for a symbol: space, control and other invisible characters
+// get a stand-in (␣, control pictures, U+XXXX). With bytes = true, symbols
+// are bytes stored as U+0000..U+00FF and the high half is shown as hex.
+function printableSymbol(symbol, bytes = false) {
+    if (symbol === null || symbol === undefined) return symbol;
+    let label = '';
+    for (const ch of String(symbol)) {
+        const cp = ch.codePointAt(0);
+        if (cp === 0x20) {
+            label += '␣';
+        } else if (cp < 0x20) {
+            label += String.fromCharCode(0x2400 + cp);
+        } else if (cp === 0x7f) {
+            label += '␡';
+        } else if (bytes && cp > 0x7f) {
+            label += `0x${cp.toString(16).toUpperCase().padStart(2, '0')}`;
+        } else if (/[\p{C}\p{Z}]/u.test(ch)) {
+            label += `U+${cp.toString(16).toUpperCase().padStart(4, '0')}`;
+        } else {
+            label += ch;
+        }
     }
+    return label;
+}
+
+// Sum of weights. Fractional weights (probabilities) are rounded to 12
+// significant digits, so 0.1 + 0.2 ties with a weight of 0.3.
+function addWeights(...weights) {
+    const sum = weights.reduce((a, b) => a + b, 0);
+    return Number.isInteger(sum) ? sum : Number(sum.toPrecision(12));
+}
+
+// Weights scaled to probabilities that sum to 1 (to 12 significant digits)
+function normalizeWeights(freqMap) {
+    const total = addWeights(...freqMap.values());
+    return new Map(Array.from(freqMap, ([char, freq]) => [char, Number((freq / total).toPrecision(12))]));
 }
 
+// Weight as text: whole numbers as they are, fractions to 4 decimal places
+function formatWeight(weight) {
+    if (typeof weight !== 'number' || Number.isInteger(weight)) return String(weight);
+    if (Math.abs(weight) < 0.001) return String(Number(weight.toPrecision(3)));
+    return String(Number(weight.toFixed(4)));
+}
+
+// Label of the "not yet transmitted" escape leaf in adaptive Huffman trees
+const NYT_SYMBOL = 'NYT';
+
+// Adaptive mode records a full tree snapshot per symbol, so longer texts are refused
+const MAX_ADAPTIVE_SYMBOLS = 2000;
+
+// Build mode to use for an input: adaptive mode replays the source text, so
+// frequency tables (manual rows, samples, links) fall back to the heap build
+function buildModeFor(mode, text) {
+    return mode === 'adaptive' && typeof text !== 'string' ? 'heap' : mode;
+}
+
+// Label of the zero-weight padding leaves added to n-ary trees
+const PAD_SYMBOL = 'pad';
+
+// Tie-break policies for equal weights, with the wording used in step descriptions
+const TIE_BREAK_RULES = {
+    symbol: 'smallest symbol first',
+    insertion: 'insertion order',
+    'merged-last': 'leaves before merged nodes',
+    'min-height': 'shortest subtree first'
+};
+
 class HuffmanCoding {
     constructor() {
         this.codes = new Map();
-        this.steps = [];
-        this.currentStep = 0;
+        this.canonicalCodes = new Map();
+        this.clearBuild();
         this.animationSpeed = 500;
         this.isPlaying = false;
         this.animationTimeout = null;
+        this.tieBreak = 'symbol';
+        this.arity = 2;
+        this.maxCodeLength = null;
+        this.unlimitedCodes = new Map();
+        this.lengthLimitCost = 0;
+        // Symbols are bytes (one U+0000..U+00FF character each) rather than text
+        this.byteSymbols = false;
+    }
+
+    // Label for a symbol in step text and tables
+    symbolLabel(char) {
+        return printableSymbol(char, this.byteSymbols);
+    }
+
+    // Bytes as a string with one U+0000..U+00FF character per byte, so the
+    // rest of the coder can treat them as symbols
+    bytesToSymbols(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 8192) {
+            text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
+        return text;
+    }
+
+    // Inverse of bytesToSymbols
+    symbolsToBytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+        return bytes;
     }
 
     // Build frequency map from text
@@ -31,75 +157,836 @@ class HuffmanCoding {
         return freqMap;
     }
 
-    // Build Huffman Tree
-    buildTree(freqMap) {
+    // Forget the previous build: its steps, the step position and the codes
+    clearBuild() {
         this.steps = [];
         this.currentStep = 0;
+        this.codes.clear();
+        this.canonicalCodes.clear();
+    }
+
+    // Build Huffman Tree
+    buildTree(freqMap) {
+        this.clearBuild();
+
+        const { compare, createLeaf, createPadding, merge } = this.createNodeFactory();
+        const k = this.arity;
         
-        // Create leaf nodes
-        const nodes = [];
+        // Min-heap priority queue; heap operations are recorded per step
+        const heap = new PriorityQueue(compare);
         for (const [char, freq] of freqMap.entries()) {
-            nodes.push(new HuffmanNode(char, freq));
+            heap.insert(createLeaf(char, freq));
+        }
+        const padding = this.paddingCount(freqMap.size);
+        for (let i = 0; i < padding; i++) {
+            heap.insert(createPadding());
         }
 
-        // Sort nodes by frequency
-        nodes.sort((a, b) => a.freq - b.freq);
+        // Forest for the tree view: the queue contents in priority order (new
+        // node first), sorted from the step's heap snapshot only when the step
+        // is shown, so each merge costs O(log n) heap work plus the snapshot
+        const forestOf = (items, merged = null) => () => {
+            const rest = items.filter(n => n !== merged).sort(compare);
+            return merged ? [merged, ...rest] : rest;
+        };
 
         // Add initial step
-        this.addStep("Starting with the following nodes:", [...nodes]);
+        const padNote = padding ? ` (plus ${padding} zero-weight padding leaves so every ${k}-way merge is full)` : '';
+        const initial = this.heapDetails(heap);
+        this.addStep(`Starting with the following nodes${padNote}:`, forestOf(initial.heap), [], initial);
 
         // Build tree
-        while (nodes.length > 1) {
-            // Sort nodes by frequency (in case it's not sorted)
-            nodes.sort((a, b) => a.freq - b.freq);
-
-            // Get two nodes with minimum frequency
-            const left = nodes.shift();
-            const right = nodes.shift();
+        while (heap.size() > 1) {
+            // Get the k nodes with minimum frequency
+            const picked = [];
+            while (picked.length < k && heap.size()) {
+                picked.push(heap.extractMin());
+            }
 
-            // Add step showing which nodes are being combined
-            this.addStep(`Combining nodes '${left.char || 'internal'}' (${left.freq}) and '${right.char || 'internal'}' (${right.freq})`, 
-                         [new HuffmanNode(null, left.freq + right.freq, left, right), ...nodes],
-                         [left.id, right.id]);
+            // Equal weights at the cut-off mean the tie-break rule picked the
+            // group: the picks of that weight and the queued nodes sharing it
+            const last = picked[picked.length - 1];
+            const tiedIds = [...picked.filter(n => n.freq === last.freq), ...heap.headWhere(n => n.freq <= last.freq)]
+                .map(n => n.id);
+            const tieBreak = tiedIds.length >= 2
+                ? { rule: this.tieBreak, label: TIE_BREAK_RULES[this.tieBreak], tiedIds }
+                : null;
 
             // Create new internal node
-            const internalNode = new HuffmanNode(null, left.freq + right.freq, left, right);
-            nodes.unshift(internalNode);
+            const internalNode = merge(...picked);
+            heap.insert(internalNode);
+
+            // Add step showing which nodes are being combined
+            const details = this.heapDetails(heap);
+            this.addStep(this.describeMerge(picked, tieBreak),
+                         forestOf(details.heap, internalNode),
+                         picked.map(n => n.id),
+                         { tieBreak, ...details });
         }
 
-        // Add final step
-        this.addStep("Huffman tree construction complete!");
+        // Add final step (shows the finished tree with its codes)
+        const root = heap.peek();
+        this.addStep("Huffman tree construction complete!", root ? [root] : null);
         
-        return nodes[0];
+        return root;
+    }
+
+    // Build a Huffman tree in O(n) with two FIFO queues: one of leaves sorted by
+    // weight, one of merged nodes (which are created in non-decreasing weight).
+    // Emits the same steps as buildTree so it can be animated the same way.
+    buildTreeTwoQueue(freqMap) {
+        this.clearBuild();
+
+        const { compare, createLeaf, createPadding, merge } = this.createNodeFactory();
+
+        const k = this.arity;
+        const leaves = [];
+        for (let i = 0; i < this.paddingCount(freqMap.size); i++) {
+            leaves.push(createPadding());
+        }
+        for (const [char, freq] of freqMap.entries()) {
+            leaves.push(createLeaf(char, freq));
+        }
+        // The linear-time method needs sorted input; sort once if it is not
+        const wasSorted = leaves.every((n, i) => i === 0 || compare(leaves[i - 1], n) <= 0);
+        if (!wasSorted) leaves.sort(compare);
+
+        // Queues are arrays with a moving head so dequeuing stays O(1)
+        const merged = [];
+        const createdAt = new Map();
+        let leafHead = 0;
+        let mergedHead = 0;
+
+        // Queue contents at this point, read back from the final arrays only
+        // when the step is shown. Dequeued nodes stay in front of the heads and
+        // new merged nodes are only inserted behind mergedHead, so a step's
+        // merged queue is what follows its head, minus nodes created later.
+        const queueSnapshot = () => {
+            const leafAt = leafHead;
+            const mergedAt = mergedHead;
+            const count = merged.length;
+            let queues = null;
+            return () => queues || (queues = {
+                leaves: leaves.slice(leafAt),
+                merged: merged.slice(mergedAt).filter(n => createdAt.get(n) < count)
+            });
+        };
+        const queueDetails = (snapshot, details = {}) =>
+            Object.defineProperty(details, 'queues', { enumerable: true, get: snapshot });
+        // Both queues interleaved the way dequeue would take them
+        const forestOf = (snapshot, first = null) => () => {
+            const { leaves: leafQueue, merged: mergedQueue } = snapshot();
+            const forest = first ? [first] : [];
+            for (let i = 0, j = 0; i < leafQueue.length || j < mergedQueue.length;) {
+                const takeLeaf = j >= mergedQueue.length || (i < leafQueue.length && compare(leafQueue[i], mergedQueue[j]) <= 0);
+                const node = takeLeaf ? leafQueue[i++] : mergedQueue[j++];
+                if (node !== first) forest.push(node);
+            }
+            return forest;
+        };
+
+        // Dequeue from whichever queue has the smaller front node
+        const dequeue = () => {
+            const leaf = leafHead < leaves.length ? leaves[leafHead] : null;
+            const node = mergedHead < merged.length ? merged[mergedHead] : null;
+            if (leaf && (!node || compare(leaf, node) <= 0)) {
+                leafHead++;
+                return leaf;
+            }
+            mergedHead++;
+            return node;
+        };
+
+        const initial = queueSnapshot();
+        this.addStep(wasSorted
+                         ? "Starting with the following nodes (already sorted by weight):"
+                         : "Starting with the following nodes (sorted by weight first):",
+                     forestOf(initial), [], queueDetails(initial));
+
+        while ((leaves.length - leafHead) + (merged.length - mergedHead) > 1) {
+            const picked = [];
+            while (picked.length < k && (leaves.length - leafHead) + (merged.length - mergedHead) > 0) {
+                picked.push(dequeue());
+            }
+            const last = picked[picked.length - 1];
+
+            // Only the next front of each queue can tie with the last pick
+            const fronts = [leaves[leafHead], merged[mergedHead]].filter(Boolean);
+            const tiedIds = [...picked, ...fronts].filter(n => n.freq === last.freq).map(n => n.id);
+            const tieBreak = tiedIds.length >= 2
+                ? { rule: this.tieBreak, label: TIE_BREAK_RULES[this.tieBreak], tiedIds }
+                : null;
+
+            const internalNode = merge(...picked);
+            // Merged weights never decrease, but among equal weights the
+            // tie-break rule may rank the new node ahead of older ones
+            createdAt.set(internalNode, merged.length);
+            let at = merged.length;
+            while (at > mergedHead && compare(merged[at - 1], internalNode) > 0) at--;
+            merged.splice(at, 0, internalNode);
+
+            // The tree view shows the new node first, then both queues
+            const snapshot = queueSnapshot();
+            this.addStep(this.describeMerge(picked, tieBreak),
+                         forestOf(snapshot, internalNode),
+                         picked.map(n => n.id),
+                         queueDetails(snapshot, { tieBreak }));
+        }
+
+        const root = leafHead < leaves.length ? leaves[leafHead] : merged[mergedHead];
+        this.addStep("Huffman tree construction complete!", root ? [root] : null);
+
+        return root;
+    }
+
+    // Shannon-Fano (top-down): the symbols, sorted by weight, are split into
+    // two groups of nearly equal weight, and each group is split again until
+    // it holds one symbol. Every split is a step; groups not yet split are
+    // drawn as leaves labelled with their symbols.
+    buildShannonFano(freqMap) {
+        this.clearBuild();
+
+        const symbols = Array.from(freqMap.entries())
+            .map(([char, freq]) => ({ char, freq }))
+            .sort((a, b) => b.freq - a.freq || compareSymbols(a.char, b.char));
+        if (!symbols.length) return null;
+
+        const prefix = [0];
+        symbols.forEach(sym => prefix.push(addWeights(prefix[prefix.length - 1], sym.freq)));
+        const weightOf = (group) => addWeights(prefix[group.end], -prefix[group.start]);
+        const labelOf = (group) => {
+            const chars = symbols.slice(group.start, Math.min(group.end, group.start + 8)).map(sym => this.symbolLabel(sym.char));
+            const more = group.end - group.start - chars.length;
+            return `{${chars.join(',')}${more > 0 ? `,…+${more}` : ''}}`;
+        };
+
+        // Groups cover [start, end) of the sorted symbols; a group's node is
+        // cached until it or one of its descendants is split, so unchanged
+        // subtrees are shared between steps
+        const makeGroup = (start, end, parent) => ({ start, end, parent, children: null, node: null });
+        const nodeOf = (group) => {
+            if (group.node) return group.node;
+            const id = `sf_${group.start}_${group.end}`;
+            let node;
+            if (group.children) {
+                const [left, right] = group.children.map(nodeOf);
+                node = new HuffmanNode(null, weightOf(group), left, right, id);
+            } else if (group.end - group.start === 1) {
+                node = new HuffmanNode(symbols[group.start].char, weightOf(group), null, null, id);
+            } else {
+                node = new HuffmanNode(labelOf(group), weightOf(group), null, null, id);
+            }
+            group.node = Object.freeze(node);
+            return group.node;
+        };
+
+        const rootGroup = makeGroup(0, symbols.length, null);
+        this.addStep(`Starting with all ${symbols.length} symbols in one group, sorted by weight (total ${formatWeight(weightOf(rootGroup))}):`,
+                     [nodeOf(rootGroup)]);
+
+        // Split level by level so the tree grows top-down
+        const queue = rootGroup.end > 1 ? [rootGroup] : [];
+        for (let head = 0; head < queue.length; head++) {
+            const group = queue[head];
+            // Split point where the two halves' weights differ the least
+            const total = weightOf(group);
+            let split = group.start + 1;
+            let bestDiff = Infinity;
+            for (let m = group.start + 1; m < group.end; m++) {
+                const diff = Math.abs(2 * (prefix[m] - prefix[group.start]) - total);
+                if (diff < bestDiff) {
+                    bestDiff = diff;
+                    split = m;
+                }
+            }
+            const left = makeGroup(group.start, split, group);
+            const right = makeGroup(split, group.end, group);
+            group.children = [left, right];
+            for (let g = group; g; g = g.parent) g.node = null;
+            [left, right].forEach(child => {
+                if (child.end - child.start > 1) queue.push(child);
+            });
+
+            const root = nodeOf(rootGroup);
+            this.addStep(`Splitting ${labelOf(group)} (${formatWeight(total)}) into ${labelOf(left)} (${formatWeight(weightOf(left))}) and ${labelOf(right)} (${formatWeight(weightOf(right))})`,
+                         [root],
+                         [nodeOf(left).id, nodeOf(right).id],
+                         { split: { group: labelOf(group), weight: total, left: weightOf(left), right: weightOf(right), difference: addWeights(bestDiff) } });
+        }
+
+        const root = nodeOf(rootGroup);
+        this.addStep("Shannon-Fano tree construction complete!", [root]);
+        return root;
+    }
+
+    // Rebuild construction steps for an existing tree (e.g. one loaded from a
+    // file): each internal node is merged once all of its children are in
+    // the forest, lightest first, so the steps end in exactly this tree
+    replayTree(root) {
+        this.clearBuild();
+        if (!root) return null;
+
+        // Pre-order index breaks weight ties, keeping the saved child order
+        const order = new Map();
+        const parentOf = new Map();
+        const pending = new Map();
+        const leaves = [];
+        const stack = [root];
+        while (stack.length) {
+            const node = stack.pop();
+            order.set(node.id, order.size);
+            if (node.isLeaf()) {
+                leaves.push(node);
+                continue;
+            }
+            pending.set(node.id, node.children.length);
+            for (let i = node.children.length - 1; i >= 0; i--) {
+                parentOf.set(node.children[i].id, node);
+                stack.push(node.children[i]);
+            }
+        }
+        const compare = (a, b) => a.freq - b.freq || order.get(a.id) - order.get(b.id);
+
+        const forest = leaves.slice().sort(compare);
+        this.addStep("Starting with the following nodes:", [...forest]);
+
+        const ready = new PriorityQueue(compare);
+        const arrive = (node) => {
+            const parent = parentOf.get(node.id);
+            if (!parent) return;
+            const left = pending.get(parent.id) - 1;
+            pending.set(parent.id, left);
+            if (left === 0) ready.insert(parent);
+        };
+        leaves.forEach(arrive);
+        while (ready.size()) {
+            const node = ready.extractMin();
+            node.children.forEach(child => forest.splice(forest.indexOf(child), 1));
+            this.addStep(this.describeMerge(node.children, null), [node, ...forest], node.children.map(child => child.id));
+            this.insertSorted(forest, node, compare);
+            arrive(node);
+        }
+
+        this.addStep("Huffman tree construction complete!", [root]);
+        return root;
+    }
+
+    // Create frozen nodes for one build and track what the tie-break policy needs:
+    // queue entry order, smallest symbol in the subtree and subtree height
+    createNodeFactory() {
+        const meta = new Map();
+        let seq = 0;
+        const track = (node, minSymbol, height) => {
+            meta.set(node.id, { seq: seq++, minSymbol, height, merged: !node.isLeaf() });
+            return node;
+        };
+        const compare = (a, b) => a.freq - b.freq || this.compareTies(meta.get(a.id), meta.get(b.id));
+        const createLeaf = (char, freq) => track(Object.freeze(new HuffmanNode(char, freq)), char, 0);
+        const createPadding = () => track(placeholderLeaf(PAD_SYMBOL, 0), PAD_SYMBOL, 0);
+        const merge = (...children) => {
+            const childMeta = children.map(c => meta.get(c.id));
+            const minSymbol = childMeta.reduce((min, m) => (compareSymbols(m.minSymbol, min) < 0 ? m.minSymbol : min), childMeta[0].minSymbol);
+            const freq = addWeights(...children.map(c => c.freq));
+            return track(Object.freeze(new HuffmanNode(null, freq, null, null, null, children)),
+                         minSymbol,
+                         Math.max(...childMeta.map(m => m.height)) + 1);
+        };
+        return { compare, createLeaf, createPadding, merge };
+    }
+
+    // Adaptive Huffman coding (FGK). Symbols are read one at a time; each step
+    // records the bits emitted, the NYT escape for new symbols, the node swaps
+    // that keep the sibling property and the weights incremented on the way up.
+    buildAdaptiveTree(text) {
+        this.clearBuild();
+
+        if (typeof text !== 'string') {
+            throw new Error('Adaptive mode replays the input text one symbol at a time; build from the text analysis tab');
+        }
+        const symbols = Array.from(text);
+        if (symbols.length > MAX_ADAPTIVE_SYMBOLS) {
+            throw new Error(`Adaptive mode shows a step per symbol and is limited to ${MAX_ADAPTIVE_SYMBOLS} symbols; this text has ${symbols.length}`);
+        }
+
+        // Raw bits sent after the NYT code for a new symbol
+        let maxCodePoint = 0;
+        for (const c of symbols) maxCodePoint = Math.max(maxCodePoint, c.codePointAt(0));
+        const rawWidth = maxCodePoint < 0x100 ? 8 : maxCodePoint < 0x10000 ? 16 : 21;
+
+        // Mutable FGK nodes; a higher number means later in the sibling order
+        let nextId = 0;
+        const all = [];
+        const createNode = (char, number, parent) => {
+            const node = { id: `fgk_${nextId++}`, char, weight: 0, number, parent, left: null, right: null };
+            all.push(node);
+            return node;
+        };
+        const root = createNode(NYT_SYMBOL, 0, null);
+        let nyt = root;
+        const leaves = new Map();
+
+        const codeOf = (node) => {
+            let code = '';
+            for (let n = node; n.parent; n = n.parent) {
+                code = (n.parent.left === n ? '0' : '1') + code;
+            }
+            return code;
+        };
+        const isAncestor = (a, node) => {
+            for (let n = node.parent; n; n = n.parent) {
+                if (n === a) return true;
+            }
+            return false;
+        };
+        const label = (node) => node.char === null ? `internal(${node.weight})` : `'${this.symbolLabel(node.char)}'(${node.weight})`;
+        const swap = (a, b) => {
+            const pa = a.parent;
+            const pb = b.parent;
+            if (pa === pb) {
+                [pa.left, pa.right] = [pa.right, pa.left];
+            } else {
+                if (pa.left === a) pa.left = b; else pa.right = b;
+                if (pb.left === b) pb.left = a; else pb.right = a;
+                a.parent = pb;
+                b.parent = pa;
+            }
+            [a.number, b.number] = [b.number, a.number];
+        };
+        const snapshot = (n) => {
+            if (!n) return null;
+            if (n === nyt) return placeholderLeaf(NYT_SYMBOL, n.weight, n.id);
+            return Object.freeze(new HuffmanNode(n.char, n.weight, snapshot(n.left), snapshot(n.right), n.id));
+        };
+
+        this.addStep(`Adaptive Huffman (FGK): the tree starts as a single NYT node; new symbols are sent as NYT code + ${rawWidth}-bit raw value`,
+                     [snapshot(root)], [], { adaptive: { emitted: '', totalBits: 0 } });
+
+        let totalBits = 0;
+        symbols.forEach((char, index) => {
+            const isNew = !leaves.has(char);
+            let node;
+            let emitted;
+            let nytCode = null;
+            if (isNew) {
+                nytCode = codeOf(nyt);
+                emitted = nytCode + char.codePointAt(0).toString(2).padStart(rawWidth, '0');
+                // The old NYT becomes an internal node with a new NYT and the new leaf
+                const parent = nyt;
+                parent.char = null;
+                parent.left = createNode(NYT_SYMBOL, parent.number - 2, parent);
+                parent.right = createNode(char, parent.number - 1, parent);
+                nyt = parent.left;
+                node = parent.right;
+                leaves.set(char, node);
+            } else {
+                node = leaves.get(char);
+                emitted = codeOf(node);
+            }
+            totalBits += emitted.length;
+
+            // Walk to the root: swap with the block leader, then increment
+            const swaps = [];
+            const incremented = [];
+            const leafId = node.id;
+            for (; node; node = node.parent) {
+                let leader = node;
+                for (const other of all) {
+                    if (other.weight === node.weight && other.number > leader.number) leader = other;
+                }
+                if (leader !== node && !isAncestor(leader, node)) {
+                    swaps.push({ a: node.id, b: leader.id, text: `${label(node)} ↔ ${label(leader)}` });
+                    swap(node, leader);
+                }
+                node.weight++;
+                incremented.push(node.id);
+            }
+
+            const sent = isNew ? `NYT code '${nytCode}' + raw '${emitted.slice(nytCode.length)}'` : `code '${emitted}'`;
+            const swapNote = swaps.length ? `; swapped ${swaps.map(sw => sw.text).join(', ')}` : '; no swaps';
+            this.addStep(`Symbol ${index + 1} '${this.symbolLabel(char)}'${isNew ? ' (new)' : ''}: emit ${sent}${swapNote}; incremented ${incremented.length} weights`,
+                         [snapshot(root)], [leafId],
+                         { adaptive: { symbol: char, isNew, nytCode, emitted, totalBits, swaps, incremented } });
+        });
+
+        const finalTree = snapshot(root);
+        this.addStep(`Adaptive encoding complete: ${totalBits} bits for ${symbols.length} symbols`, [finalTree]);
+
+        return finalTree;
+    }
+
+    // Order two equal-weight nodes by the configured tie-break policy
+    compareTies(a, b) {
+        switch (this.tieBreak) {
+            case 'insertion':
+                return a.seq - b.seq;
+            case 'merged-last':
+                if (a.merged !== b.merged) return a.merged ? 1 : -1;
+                return a.merged ? a.seq - b.seq : compareSymbols(a.minSymbol, b.minSymbol);
+            case 'min-height':
+                return a.height - b.height || a.seq - b.seq;
+            case 'symbol':
+            default:
+                return compareSymbols(a.minSymbol, b.minSymbol) || a.seq - b.seq;
+        }
+    }
+
+    // Step text for a merge, e.g. Combining nodes 'A' (5) and 'B' (9)
+    describeMerge(picked, tieBreak) {
+        const names = picked.map(n => `'${n.char === null ? 'internal' : this.symbolLabel(n.char)}' (${formatWeight(n.freq)})`);
+        const list = names.length > 1
+            ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+            : names.join('');
+        const tieNote = tieBreak ? ` (tie broken by ${tieBreak.label})` : '';
+        return `Combining nodes ${list}${tieNote}`;
+    }
+
+    // Set the tree arity k (2 = binary); codes use the digits 0..k-1
+    setArity(k) {
+        if (!Number.isInteger(k) || k < 2 || k > 10) {
+            throw new Error(`Arity must be an integer from 2 to 10: ${k}`);
+        }
+        this.arity = k;
+    }
+
+    // Zero-weight leaves needed so that (n - 1) is a multiple of (k - 1)
+    paddingCount(n) {
+        const k = this.arity;
+        return n <= 1 ? 0 : (k - 1 - ((n - 1) % (k - 1))) % (k - 1);
+    }
+
+    // Insert into an already sorted array (binary search for the position)
+    insertSorted(list, node, compare) {
+        let lo = 0;
+        let hi = list.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (compare(list[mid], node) <= 0) lo = mid + 1;
+            else hi = mid;
+        }
+        list.splice(lo, 0, node);
+    }
+
+    // Snapshot the heap array and the operations since the previous step.
+    // Queue nodes are frozen, so the snapshot can hold them directly.
+    heapDetails(heap) {
+        return {
+            heap: heap.toArray(),
+            heapOps: heap.drainOperations()
+        };
+    }
+
+    // Set the tie-break policy used when weights are equal
+    setTieBreak(rule) {
+        if (!Object.prototype.hasOwnProperty.call(TIE_BREAK_RULES, rule)) {
+            throw new Error(`Unknown tie-break rule: ${rule}`);
+        }
+        this.tieBreak = rule;
     }
 
     // Generate Huffman codes
     generateCodes(node, path = '') {
         if (node.isLeaf()) {
-            this.codes.set(node.char, path);
+            // Adaptive escape and n-ary padding leaves are not symbols
+            if (node.placeholder) return;
+            // A single-symbol tree still needs a one-bit code
+            this.codes.set(node.char, path || '0');
             return;
         }
-        this.generateCodes(node.left, path + '0');
-        this.generateCodes(node.right, path + '1');
+        node.children.forEach((child, digit) => {
+            if (child) this.generateCodes(child, path + digit);
+        });
     }
 
-    // Add a step to the visualization
-    addStep(description, nodes = null, highlightNodes = []) {
-        this.steps.push({
+    // Reassign codes in canonical order (length, then symbol) keeping each length
+    canonicalize(codes) {
+        const lengths = new Map(Array.from(codes.entries(), ([char, code]) => [char, code.length]));
+        return this.codesFromLengths(lengths);
+    }
+
+    // Assign canonical codes to a map of symbol -> code length
+    codesFromLengths(lengths) {
+        const entries = Array.from(lengths.entries())
+            .sort((a, b) => a[1] - b[1] || compareSymbols(a[0], b[0]));
+        const canonical = new Map();
+        const radix = BigInt(this.arity);
+        let next = 0n;
+        let prevLength = entries.length ? entries[0][1] : 0;
+        for (const [char, length] of entries) {
+            next *= radix ** BigInt(length - prevLength);
+            canonical.set(char, next.toString(this.arity).padStart(length, '0'));
+            next++;
+            prevLength = length;
+        }
+        return canonical;
+    }
+
+    // Generate canonical codes from the tree-derived codes
+    generateCanonicalCodes() {
+        this.canonicalCodes = this.canonicalize(this.codes);
+        return this.canonicalCodes;
+    }
+
+    // Set the longest code allowed (null for unlimited)
+    setMaxCodeLength(maxLength) {
+        if (maxLength !== null && (!Number.isInteger(maxLength) || maxLength < 1)) {
+            throw new Error(`Max code length must be a positive integer: ${maxLength}`);
+        }
+        this.maxCodeLength = maxLength;
+    }
+
+    // Optimal code lengths of at most maxLength bits (package-merge). Each level
+    // pairs up the cheapest items into packages and merges them with the leaves;
+    // a symbol's length is how often it appears in the cheapest 2n-2 items.
+    limitCodeLengths(freqMap, maxLength) {
+        const symbols = Array.from(freqMap.entries())
+            .sort((a, b) => a[1] - b[1] || compareSymbols(a[0], b[0]));
+        const n = symbols.length;
+        if (n <= 1) {
+            return new Map(symbols.map(([char]) => [char, 1]));
+        }
+        if (2 ** maxLength < n) {
+            throw new Error(`${n} symbols do not fit in codes of at most ${maxLength} bits`);
+        }
+
+        const leaves = symbols.map(([char, freq]) => ({ weight: freq, char }));
+        let list = leaves;
+        for (let level = maxLength; level > 1; level--) {
+            const packages = [];
+            for (let i = 0; i + 1 < list.length; i += 2) {
+                packages.push({ weight: addWeights(list[i].weight, list[i + 1].weight), items: [list[i], list[i + 1]] });
+            }
+            // Merge leaves and packages by weight; leaves win ties
+            const merged = [];
+            let i = 0;
+            let j = 0;
+            while (i < leaves.length || j < packages.length) {
+                if (j >= packages.length || (i < leaves.length && leaves[i].weight <= packages[j].weight)) {
+                    merged.push(leaves[i++]);
+                } else {
+                    merged.push(packages[j++]);
+                }
+            }
+            list = merged;
+        }
+
+        const lengths = new Map(symbols.map(([char]) => [char, 0]));
+        const count = (item) => {
+            if (item.items) {
+                item.items.forEach(count);
+            } else {
+                lengths.set(item.char, lengths.get(item.char) + 1);
+            }
+        };
+        list.slice(0, 2 * n - 2).forEach(count);
+        return lengths;
+    }
+
+    // Rebuild a code tree from prefix codes, summing weights from freqMap
+    buildTreeFromCodes(codes, freqMap) {
+        const build = (prefix, entries) => {
+            if (!entries.length) return null;
+            if (entries.length === 1 && entries[0][1] === prefix) {
+                const [char] = entries[0];
+                return Object.freeze(new HuffmanNode(char, freqMap.get(char) || 0));
+            }
+            const left = build(prefix + '0', entries.filter(([, code]) => code[prefix.length] === '0'));
+            const right = build(prefix + '1', entries.filter(([, code]) => code[prefix.length] === '1'));
+            return Object.freeze(new HuffmanNode(null, addWeights(left ? left.freq : 0, right ? right.freq : 0), left, right));
+        };
+        const entries = Array.from(codes.entries());
+        return entries.length ? build('', entries) : null;
+    }
+
+    // Replace codes deeper than maxCodeLength with package-merge lengths.
+    // Returns the root of the length-limited code tree, or null if the tree
+    // already fits. The tree-derived codes are kept in unlimitedCodes.
+    enforceMaxCodeLength(freqMap) {
+        this.unlimitedCodes = new Map();
+        this.lengthLimitCost = 0;
+        if (!this.maxCodeLength) return null;
+        const deepest = Array.from(this.codes.values()).reduce((max, code) => Math.max(max, code.length), 0);
+        if (deepest <= this.maxCodeLength) return null;
+        if (this.arity !== 2) {
+            throw new Error('Code length limits are only supported for binary (arity 2) codes');
+        }
+
+        this.unlimitedCodes = new Map(this.codes);
+        const lengths = this.limitCodeLengths(freqMap, this.maxCodeLength);
+        this.codes = this.codesFromLengths(lengths);
+        for (const [char, code] of this.codes) {
+            this.lengthLimitCost = addWeights(this.lengthLimitCost, (code.length - this.unlimitedCodes.get(char).length) * (freqMap.get(char) || 0));
+        }
+        const root = this.buildTreeFromCodes(this.codes, freqMap);
+
+        // Show the limited tree just before the final step
+        const finalStep = this.steps.pop();
+        this.addStep(`Limiting code lengths to ${this.maxCodeLength} bits with package-merge (depth was ${deepest}, +${formatWeight(this.lengthLimitCost)} bits)`,
+                     [root], [],
+                     { lengthLimit: { maxLength: this.maxCodeLength, previousDepth: deepest, extraBits: this.lengthLimitCost } });
+        if (finalStep) this.steps.push({ ...finalStep, nodes: [root] });
+        return root;
+    }
+
+    // Encode text as a string of '0'/'1' using the generated codes. A missing
+    // symbol throws with its character offset in error.position.
+    encodeToBitString(text) {
+        const parts = [];
+        let offset = 0;
+        for (const char of text) {
+            const code = this.codes.get(char);
+            if (code === undefined) {
+                const error = new Error(`No code for character '${this.symbolLabel(char)}' at position ${offset}`);
+                error.position = offset;
+                throw error;
+            }
+            parts.push(code);
+            offset++;
+        }
+        return parts.join('');
+    }
+
+    // Encode text into a packed bitstream. Bits are written MSB-first and the
+    // final byte is a trailer holding the number of padding bits (0-7) used
+    // to fill the last data byte.
+    encode(text) {
+        if (this.arity !== 2) {
+            throw new Error('Packed bitstreams need a binary (arity 2) code');
+        }
+        const bits = this.encodeToBitString(text);
+        const dataBytes = Math.ceil(bits.length / 8);
+        const bytes = new Uint8Array(dataBytes + 1);
+        for (let i = 0; i < bits.length; i++) {
+            if (bits[i] === '1') {
+                bytes[i >> 3] |= 0x80 >> (i & 7);
+            }
+        }
+        bytes[dataBytes] = (8 - (bits.length % 8)) % 8;
+        return bytes;
+    }
+
+    // Unpack a bitstream produced by encode() back into a '0'/'1' string
+    unpackBits(bytes) {
+        if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
+            throw new Error('Bitstream must be a non-empty Uint8Array');
+        }
+        const padding = bytes[bytes.length - 1];
+        const dataBytes = bytes.length - 1;
+        if (padding > 7 || (dataBytes === 0 && padding !== 0)) {
+            throw new Error(`Invalid padding trailer: ${padding}`);
+        }
+        const bitLength = dataBytes * 8 - padding;
+        let bits = '';
+        for (let i = 0; i < bitLength; i++) {
+            bits += (bytes[i >> 3] & (0x80 >> (i & 7))) ? '1' : '0';
+        }
+        return bits;
+    }
+
+    // Decode a packed bitstream (or a string of code digits) by walking the tree
+    decode(bits, tree) {
+        return this.decodeSymbols(bits, tree).map(s => s.char).join('');
+    }
+
+    // Decode into symbols, each with its bit range [start, end) and the ids of
+    // the nodes walked from the root to its leaf. Errors carry the bit position
+    // (error.position) of the offending bit.
+    decodeSymbols(bits, tree) {
+        if (!tree) {
+            throw new Error('A Huffman tree is required to decode');
+        }
+        const bitString = typeof bits === 'string' ? bits : this.unpackBits(bits);
+        const unit = this.arity === 2 ? 'bit' : 'digit';
+        const fail = (message, position) => {
+            const error = new Error(message);
+            error.position = position;
+            return error;
+        };
+        const symbols = [];
+        let node = tree;
+        let start = 0;
+        let path = [tree.id];
+        for (let i = 0; i < bitString.length; i++) {
+            const bit = bitString[i];
+            const digit = bit.charCodeAt(0) - 48;
+            if (!(digit >= 0 && digit < this.arity)) {
+                throw fail(`Invalid ${unit} '${bit}' at position ${i}`, i);
+            }
+            if (tree.isLeaf()) {
+                // Single-symbol tree: every bit is one symbol
+                symbols.push({ char: tree.char, start: i, end: i + 1, path: [tree.id] });
+                continue;
+            }
+            node = node.children[digit];
+            if (!node) {
+                throw fail(`No branch for ${unit} '${bit}' at position ${i}`, i);
+            }
+            path.push(node.id);
+            if (node.isLeaf()) {
+                if (node.placeholder) {
+                    throw fail(`Code ending at position ${i} leads to the '${this.symbolLabel(node.char)}' leaf, not a symbol`, i);
+                }
+                symbols.push({ char: node.char, start, end: i + 1, path });
+                node = tree;
+                start = i + 1;
+                path = [tree.id];
+            }
+        }
+        if (node !== tree) {
+            throw fail(`Bitstream ends in the middle of a code starting at position ${start}`, start);
+        }
+        return symbols;
+    }
+
+    // One frame per bit for stepping through a decode: the path walked so far
+    // and, on the bit that reaches a leaf, the symbol emitted
+    decodeWalk(bits, tree) {
+        const frames = [];
+        let output = '';
+        this.decodeSymbols(bits, tree).forEach(sym => {
+            for (let i = sym.start; i < sym.end; i++) {
+                const emitted = i === sym.end - 1 ? sym.char : null;
+                if (emitted !== null) output += emitted;
+                frames.push({
+                    bit: i,
+                    path: sym.path.slice(0, sym.path.length - (sym.end - 1 - i)),
+                    emitted,
+                    output
+                });
+            }
+        });
+        return frames;
+    }
+
+    // Add a step to the visualization; details carries extra per-step data (e.g. tieBreak)
+    // `nodes` may be a function returning the forest, which is then worked
+    // out the first time the step's nodes are read
+    addStep(description, nodes = null, highlightNodes = [], details = {}) {
+        const step = {
             description,
-            nodes: nodes ? nodes.map(n => this.cloneNode(n)) : null,
+            nodes: null,
             highlightNodes: highlightNodes || []
-        });
+        };
+        // Copy descriptors rather than values so lazy details stay lazy
+        Object.defineProperties(step, Object.getOwnPropertyDescriptors(details));
+        if (typeof nodes === 'function') {
+            let forest = null;
+            Object.defineProperty(step, 'nodes', {
+                enumerable: true,
+                get: () => forest || (forest = nodes().map(n => this.cloneNode(n)))
+            });
+        } else if (nodes) {
+            step.nodes = nodes.map(n => this.cloneNode(n));
+        }
+        this.steps.push(step);
     }
 
-    // Helper to clone a node for the steps
+    // Helper to clone a node for the steps. Frozen subtrees cannot change
+    // after being recorded, so they are shared instead of copied.
     cloneNode(node) {
         if (!node) return null;
-        const clone = new HuffmanNode(node.char, node.freq);
-        clone.id = node.id;
-        clone.left = this.cloneNode(node.left);
-        clone.right = this.cloneNode(node.right);
-        return clone;
+        if (Object.isFrozen(node)) return node;
+        return new HuffmanNode(node.char, node.freq, null, null, node.id,
+                               node.children.map(child => this.cloneNode(child)));
     }
 
     // Get the current step
@@ -107,28 +994,30 @@ class HuffmanCoding {
         return this.steps[this.currentStep];
     }
 
+    // Go to step i, clamped to the recorded steps; false when that is where we already are
+    goToStep(i) {
+        if (!Number.isInteger(i)) throw new Error(`Step must be a whole number, got ${i}`);
+        const target = Math.max(0, Math.min(i, this.steps.length - 1));
+        if (this.steps.length === 0 || target === this.currentStep) return false;
+        this.currentStep = target;
+        return true;
+    }
+
     // Go to next step
     nextStep() {
-        if (this.currentStep < this.steps.length - 1) {
-            this.currentStep++;
-            return true;
-        }
-        return false;
+        return this.goToStep(this.currentStep + 1);
     }
 
     // Go to previous step
     prevStep() {
-        if (this.currentStep > 0) {
-            this.currentStep--;
-            return true;
-        }
-        return false;
+        return this.goToStep(this.currentStep - 1);
     }
 
     // Reset to initial state
     reset() {
-        this.currentStep = 0;
+        this.goToStep(0);
         this.codes.clear();
+        this.canonicalCodes.clear();
         if (this.animationTimeout) {
             clearTimeout(this.animationTimeout);
             this.animationTimeout = null;
@@ -178,5 +1067,5 @@ class HuffmanCoding {
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { HuffmanNode, HuffmanCoding };
+    module.exports = { HuffmanNode, HuffmanCoding, compareSymbols, printableSymbol, addWeights, normalizeWeights, formatWeight, TIE_BREAK_RULES, NYT_SYMBOL, PAD_SYMBOL, MAX_ADAPTIVE_SYMBOLS, placeholderLeaf, buildModeFor };
 }
@@ -0,0 +1,101 @@
+// Shareable links: the input and view state packed into the URL hash, e.g.
+//   #in=sample2&w=1&sp=1&st=4&f=A:8,E:12,I:7,O:7,U:3
+// Symbols are percent-encoded, so ',' and ':' inside them cannot clash with
+// the separators. Options left at their defaults are omitted.
+
+const PERMALINK_DEFAULTS = {
+    input: 'manual',
+    tieBreak: 'symbol',
+    showWeights: true,
+    speed: 1,
+    arity: 2,
+    buildMode: 'heap',
+    maxLength: null,
+    bytes: false,
+    step: 0
+};
+
+// Construction modes a link may name (the values of the construction select)
+const PERMALINK_BUILD_MODES = ['heap', 'two-queue', 'adaptive', 'shannon-fano'];
+
+// state: { input, freq: [[symbol, weight], ...], tieBreak, showWeights,
+// speed, arity, buildMode, maxLength, bytes, step (0-based) }
+function encodePermalink(state) {
+    const s = { ...PERMALINK_DEFAULTS, ...state };
+    const params = [['in', s.input]];
+    if (s.bytes) params.push(['bytes', '1']);
+    if (s.tieBreak !== PERMALINK_DEFAULTS.tieBreak) params.push(['tb', s.tieBreak]);
+    if (s.arity !== PERMALINK_DEFAULTS.arity) params.push(['k', s.arity]);
+    if (s.buildMode !== PERMALINK_DEFAULTS.buildMode) params.push(['b', s.buildMode]);
+    if (s.maxLength !== null) params.push(['max', s.maxLength]);
+    params.push(['w', s.showWeights ? '1' : '0'], ['sp', s.speed], ['st', s.step + 1]);
+    const freq = s.freq.map(([symbol, weight]) => `${encodeURIComponent(symbol)}:${weight}`).join(',');
+    return `#${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}&f=${freq}`;
+}
+
+// Parse a hash written by encodePermalink. Returns null when the hash holds
+// no frequency map; throws on a malformed one.
+function decodePermalink(hash) {
+    const params = new Map();
+    hash.replace(/^#/, '').split('&').filter(Boolean).forEach(part => {
+        const eq = part.indexOf('=');
+        params.set(eq === -1 ? part : part.slice(0, eq), eq === -1 ? '' : part.slice(eq + 1));
+    });
+    if (!params.has('f')) return null;
+
+    const freq = params.get('f').split(',').filter(Boolean).map((pair, i) => {
+        const colon = pair.lastIndexOf(':');
+        const symbol = colon > 0 ? decodeURIComponent(pair.slice(0, colon)) : '';
+        const weight = Number(pair.slice(colon + 1));
+        if (!symbol || colon === -1 || !Number.isFinite(weight) || weight <= 0) {
+            throw new Error(`Bad link: entry ${i + 1} of the frequency map ('${pair}') must be symbol:weight`);
+        }
+        return [symbol, weight];
+    });
+    if (new Set(freq.map(([symbol]) => symbol)).size !== freq.length) {
+        throw new Error('Bad link: a symbol appears twice in the frequency map');
+    }
+    const number = (key, fallback) => {
+        if (!params.has(key)) return fallback;
+        const value = Number(decodeURIComponent(params.get(key)));
+        if (!Number.isFinite(value)) throw new Error(`Bad link: ${key} must be a number`);
+        return value;
+    };
+    const text = (key, fallback) => (params.has(key) ? decodeURIComponent(params.get(key)) : fallback);
+    return {
+        input: text('in', PERMALINK_DEFAULTS.input),
+        freq,
+        bytes: params.get('bytes') === '1',
+        tieBreak: text('tb', PERMALINK_DEFAULTS.tieBreak),
+        arity: number('k', PERMALINK_DEFAULTS.arity),
+        buildMode: text('b', PERMALINK_DEFAULTS.buildMode),
+        maxLength: number('max', PERMALINK_DEFAULTS.maxLength),
+        showWeights: params.get('w') !== '0',
+        speed: number('sp', PERMALINK_DEFAULTS.speed),
+        step: Math.max(0, number('st', 1) - 1)
+    };
+}
+
+// Links and stored runs can hold anything: options the page does not offer
+// fall back to PERMALINK_DEFAULTS
+function withValidOptions(state) {
+    const rules = typeof TIE_BREAK_RULES !== 'undefined' ? TIE_BREAK_RULES : require('./huffman.js').TIE_BREAK_RULES;
+    const valid = {
+        tieBreak: Object.prototype.hasOwnProperty.call(rules, state.tieBreak),
+        arity: Number.isInteger(state.arity) && state.arity >= 2 && state.arity <= 10,
+        buildMode: PERMALINK_BUILD_MODES.includes(state.buildMode),
+        maxLength: state.maxLength === null || (Number.isInteger(state.maxLength) && state.maxLength >= 1),
+        speed: typeof state.speed === 'number' && state.speed >= 0.25 && state.speed <= 2,
+        step: Number.isInteger(state.step) && state.step >= 0
+    };
+    const result = { ...state };
+    Object.keys(valid).forEach(key => {
+        if (!valid[key]) result[key] = PERMALINK_DEFAULTS[key];
+    });
+    return result;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodePermalink, decodePermalink, withValidOptions, PERMALINK_DEFAULTS };
+}
@@ -0,0 +1,126 @@
+// Binary min-heap priority queue used to build Huffman trees.
+// Every mutation is appended to an operation log (insert, extract-min,
+// sift-up, sift-down) so the visualizer can replay what the heap did.
+
+class MinHeap {
+    constructor(compare = (a, b) => a - b) {
+        this.compare = compare;
+        this.items = [];
+        this.operations = [];
+    }
+
+    static parentIndex(i) {
+        return (i - 1) >> 1;
+    }
+
+    static leftIndex(i) {
+        return 2 * i + 1;
+    }
+
+    static rightIndex(i) {
+        return 2 * i + 2;
+    }
+
+    // Split a heap array into its binary-tree levels (root level first)
+    static levelsOf(items) {
+        const levels = [];
+        for (let start = 0, width = 1; start < items.length; start += width, width *= 2) {
+            levels.push(items.slice(start, start + width));
+        }
+        return levels;
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items.length ? this.items[0] : undefined;
+    }
+
+    // Heap array in storage order (not sorted)
+    toArray() {
+        return this.items.slice();
+    }
+
+    // Items for which `predicate` holds, when it holds for a prefix of the
+    // priority order (e.g. weight <= w). Subtrees are skipped as soon as it
+    // fails, so the cost follows the number of matches, not the heap size.
+    headWhere(predicate) {
+        const found = [];
+        const stack = this.items.length ? [0] : [];
+        while (stack.length) {
+            const i = stack.pop();
+            if (!predicate(this.items[i])) continue;
+            found.push(this.items[i]);
+            [MinHeap.leftIndex(i), MinHeap.rightIndex(i)].forEach(child => {
+                if (child < this.items.length) stack.push(child);
+            });
+        }
+        return found;
+    }
+
+    insert(item) {
+        this.items.push(item);
+        const index = this.items.length - 1;
+        this.operations.push({ type: 'insert', item, index });
+        this.siftUp(index);
+    }
+
+    extractMin() {
+        if (!this.items.length) return undefined;
+        const min = this.items[0];
+        const last = this.items.pop();
+        this.operations.push({ type: 'extract-min', item: min, index: 0 });
+        if (this.items.length) {
+            this.items[0] = last;
+            this.siftDown(0);
+        }
+        return min;
+    }
+
+    // Return and clear the operations logged since the last call
+    drainOperations() {
+        const ops = this.operations;
+        this.operations = [];
+        return ops;
+    }
+
+    siftUp(index) {
+        let i = index;
+        while (i > 0) {
+            const parent = MinHeap.parentIndex(i);
+            if (this.compare(this.items[i], this.items[parent]) >= 0) break;
+            this.swap(i, parent);
+            this.operations.push({ type: 'sift-up', item: this.items[parent], from: i, to: parent });
+            i = parent;
+        }
+    }
+
+    siftDown(index) {
+        let i = index;
+        const n = this.items.length;
+        while (true) {
+            const left = MinHeap.leftIndex(i);
+            const right = MinHeap.rightIndex(i);
+            let smallest = i;
+            if (left < n && this.compare(this.items[left], this.items[smallest]) < 0) smallest = left;
+            if (right < n && this.compare(this.items[right], this.items[smallest]) < 0) smallest = right;
+            if (smallest === i) break;
+            this.swap(i, smallest);
+            this.operations.push({ type: 'sift-down', item: this.items[smallest], from: i, to: smallest });
+            i = smallest;
+        }
+    }
+
+    swap(i, j) {
+        const tmp = this.items[i];
+        this.items[i] = this.items[j];
+        this.items[j] = tmp;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MinHeap };
+}
@@ -0,0 +1,94 @@
+// Practice mode: questions built from the recorded construction steps, and
+// grading with explanations. Before step i advances, the student picks the
+// nodes that step i + 1 merges (its highlightNodes); on the final tree they
+// type the codes of a few symbols.
+
+// Node as text for explanations, e.g. 'A' (5) or internal (14)
+function quizNodeLabel(node, label = (s) => s) {
+    const weight = typeof formatWeight === 'function' ? formatWeight(node.freq) : String(node.freq);
+    return node.char === null ? `internal (${weight})` : `'${label(node.char)}' (${weight})`;
+}
+
+// The merge question asked at step `index`, or null when the next step is
+// not a merge (the final step, splits, adaptive updates, length limits)
+function mergeQuestion(steps, index) {
+    const current = steps[index];
+    const next = steps[index + 1];
+    if (!current || !next || !Array.isArray(current.nodes)) return null;
+    if (next.adaptive || next.split || next.lengthLimit) return null;
+    if (!next.highlightNodes || next.highlightNodes.length < 2) return null;
+    return {
+        index,
+        forest: current.nodes,
+        answerIds: next.highlightNodes,
+        tieBreak: next.tieBreak || null
+    };
+}
+
+// Grade picked node ids against a merge question. Picking other nodes of
+// the same weights is still optimal, so it counts as correct with a note on
+// the tie-break rule.
+function gradeMerge(question, pickedIds, label = (s) => s) {
+    const byId = new Map(question.forest.map(n => [n.id, n]));
+    const answer = question.answerIds.map(id => byId.get(id)).filter(Boolean);
+    const picked = pickedIds.map(id => byId.get(id)).filter(Boolean);
+    const names = (nodes) => nodes.map(n => quizNodeLabel(n, label)).join(', ');
+    const weights = (nodes) => nodes.map(n => n.freq).sort((a, b) => a - b);
+
+    if (pickedIds.length === answer.length && pickedIds.every(id => question.answerIds.includes(id))) {
+        return { correct: true, message: `correct: ${names(answer)} are the ${answer.length} lightest nodes` };
+    }
+    const pw = weights(picked);
+    const aw = weights(answer);
+    if (pw.length === aw.length && pw.every((w, i) => w === aw[i])) {
+        const rule = question.tieBreak ? `the tie-break rule (${question.tieBreak.label})` : 'the tie-break rule';
+        return {
+            correct: true,
+            message: `correct weights: equal weights tie, so any of them is optimal; ${rule} picks ${names(answer)}`
+        };
+    }
+    const heaviest = aw[aw.length - 1];
+    const reasons = picked
+        .filter(n => !question.answerIds.includes(n.id))
+        .map(n => (n.freq > heaviest
+            ? `${quizNodeLabel(n, label)} is heavier than every node that is merged`
+            : `${quizNodeLabel(n, label)} is not among the lightest once ties are broken`));
+    return {
+        correct: false,
+        message: `not quite: the ${answer.length} lightest nodes are ${names(answer)}. ${reasons.join('; ')}`.trim()
+    };
+}
+
+// Up to `count` symbols to ask the codes of: the lightest, the heaviest and
+// then ones in between (padding leaves left out)
+function codeQuestions(codes, freqMap, count = 3) {
+    const symbols = Array.from(codes.keys())
+        .filter(char => freqMap.has(char))
+        .sort((a, b) => freqMap.get(a) - freqMap.get(b) || (a < b ? -1 : a > b ? 1 : 0));
+    if (symbols.length <= count) return symbols;
+    const picks = [symbols[0], symbols[symbols.length - 1]];
+    for (let i = 1; picks.length < count; i++) {
+        const middle = symbols[Math.floor((symbols.length * i) / count)];
+        if (!picks.includes(middle)) picks.push(middle);
+    }
+    return picks;
+}
+
+// Grade a typed code; wrong answers explain the root-to-leaf walk
+function gradeCode(char, typed, codes, arity = 2, label = (s) => s) {
+    const code = codes.get(char);
+    const answer = String(typed || '').replace(/\s+/g, '');
+    if (answer === code) return { correct: true, message: `'${label(char)}' is ${code}` };
+    const walk = arity === 2
+        ? Array.from(code, d => (d === '0' ? 'left' : 'right')).join(', ')
+        : Array.from(code, d => `child ${d}`).join(', ');
+    return {
+        correct: false,
+        message: `'${label(char)}' is ${code}${answer ? `, not ${answer}` : ''}: from the root go ${walk}`
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { mergeQuestion, gradeMerge, codeQuestions, gradeCode };
+}
@@ -0,0 +1,75 @@
+// Built-in samples for the sample data tab, in menu order. Table samples
+// fill the manual rows with [symbol, weight] pairs; text samples fill the
+// text analysis box and are counted like typed text. Ids end up in shared
+// links and past runs, so existing ones must not change.
+
+const SAMPLE_DATASETS = [
+    {
+        id: 'clrs',
+        name: 'textbook example',
+        description: 'the classic example from Cormen et al., Introduction to Algorithms: a 100,000-character file, weights in thousands',
+        table: [['a', 45], ['b', 13], ['c', 12], ['d', 16], ['e', 9], ['f', 5]]
+    },
+    {
+        id: 'english',
+        name: 'english letters',
+        description: 'how often each letter appears in english text, in percent; e and t get the shortest codes, j, q, x and z the longest',
+        table: [
+            ['E', 12.7], ['T', 9.06], ['A', 8.17], ['O', 7.51], ['I', 6.97], ['N', 6.75], ['S', 6.33],
+            ['H', 6.09], ['R', 5.99], ['D', 4.25], ['L', 4.03], ['C', 2.78], ['U', 2.76], ['M', 2.41],
+            ['W', 2.36], ['F', 2.23], ['G', 2.02], ['Y', 1.97], ['P', 1.93], ['B', 1.29], ['V', 0.98],
+            ['K', 0.77], ['J', 0.15], ['X', 0.15], ['Q', 0.1], ['Z', 0.07]
+        ]
+    },
+    {
+        id: 'fibonacci',
+        name: 'fibonacci weights',
+        description: 'each weight is the sum of the two before it, so every merge joins the newest subtree with the next leaf: the deepest possible tree',
+        table: [['A', 1], ['B', 1], ['C', 2], ['D', 3], ['E', 5], ['F', 8], ['G', 13], ['H', 21], ['I', 34], ['J', 55]]
+    },
+    {
+        id: 'equal',
+        name: 'equal weights',
+        description: 'eight symbols with the same weight give a perfectly balanced tree: every code is 3 bits, the same as a fixed-length code',
+        table: [['A', 1], ['B', 1], ['C', 1], ['D', 1], ['E', 1], ['F', 1], ['G', 1], ['H', 1]]
+    },
+    {
+        id: 'dna',
+        name: 'dna bases',
+        description: 'a dna sequence: only four symbols in similar amounts, so huffman cannot beat the 2 bits per base of a fixed-length code',
+        text: 'ATGGCCCTGTGGATGCGCCTCCTGCCCCTGCTGGCGCTGCTGGCCCTCTGGGGACCTGACCCAGCCGCAGCCTTTGTGAACCAACACCTGTGCGGCTCACACCTGGTGGAAGCTCTCTACCTAGTGTGCGGGGAACGAGGCTTCTTCTACACACCCAAGACC'
+    },
+    {
+        id: 'source-code',
+        name: 'source code',
+        description: 'a short javascript function: indentation makes the space by far the most common symbol, and newlines and punctuation count like letters',
+        text: 'function gcd(a, b) {\n    while (b !== 0) {\n        const t = b;\n        b = a % b;\n        a = t;\n    }\n    return a;\n}\n'
+    },
+    {
+        id: 'sample1',
+        name: 'basic',
+        description: 'six letters with weights from 5 to 45: the first sample the visualizer shipped with',
+        table: [['A', 5], ['B', 9], ['C', 12], ['D', 13], ['E', 16], ['F', 45]]
+    },
+    {
+        id: 'sample2',
+        name: 'vowels',
+        description: 'five vowels with two equal weights (I and O), to see the tie-break rule at work',
+        table: [['A', 8], ['E', 12], ['I', 7], ['O', 7], ['U', 3]]
+    },
+    {
+        id: 'sample3',
+        name: 'digits',
+        description: 'four digits: the smallest example with codes of three different lengths',
+        table: [['0', 1], ['1', 3], ['2', 4], ['3', 2]]
+    }
+];
+
+function findSample(id) {
+    return SAMPLE_DATASETS.find(sample => sample.id === id) || null;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SAMPLE_DATASETS, findSample };
+}
@@ -0,0 +1,107 @@
+// History of built trees kept in localStorage, newest first. Each run holds
+// the input (frequency table and, when small enough, the analysed text),
+// the options it was built with and when it was built.
+
+const HISTORY_STORAGE_KEY = 'huffman-visualizer-history';
+const HISTORY_MAX_RUNS = 50;
+// Longer texts are stored as their frequency table only
+const HISTORY_MAX_TEXT = 100000;
+
+function newRunId() {
+    return `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+class SessionHistory {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+    }
+
+    list() {
+        if (!this.storage) return [];
+        try {
+            const runs = JSON.parse(this.storage.getItem(HISTORY_STORAGE_KEY) || '[]');
+            return Array.isArray(runs) ? runs : [];
+        } catch (e) {
+            console.warn('Ignoring unreadable history', e);
+            return [];
+        }
+    }
+
+    get(id) {
+        return this.list().find(run => run.id === id) || null;
+    }
+
+    // Write the list, dropping the oldest runs while the storage is full
+    save(runs) {
+        if (!this.storage) throw new Error('History is not available in this browser');
+        let kept = runs.slice(0, HISTORY_MAX_RUNS);
+        while (true) {
+            try {
+                this.storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+                return kept;
+            } catch (e) {
+                if (kept.length <= 1) throw new Error(`Could not save the history: ${e.message}`);
+                kept = kept.slice(0, -1);
+            }
+        }
+    }
+
+    // Record a build. Rebuilding the same input with the same options only
+    // moves that run to the top.
+    add(run) {
+        const entry = {
+            ...run,
+            text: run.text && run.text.length <= HISTORY_MAX_TEXT ? run.text : null,
+            id: run.id || newRunId(),
+            createdAt: run.createdAt || new Date().toISOString()
+        };
+        const key = SessionHistory.inputKey(entry);
+        const runs = this.list();
+        const same = runs.findIndex(r => SessionHistory.inputKey(r) === key);
+        if (same !== -1) {
+            const [existing] = runs.splice(same, 1);
+            entry.id = existing.id;
+            entry.name = existing.name;
+        }
+        this.save([entry, ...runs]);
+        return entry;
+    }
+
+    rename(id, name) {
+        const runs = this.list();
+        const run = runs.find(r => r.id === id);
+        if (!run) throw new Error('That run is no longer in the history');
+        run.name = name;
+        this.save(runs);
+        return run;
+    }
+
+    duplicate(id) {
+        const runs = this.list();
+        const index = runs.findIndex(r => r.id === id);
+        if (index === -1) throw new Error('That run is no longer in the history');
+        const copy = {
+            ...runs[index],
+            id: newRunId(),
+            name: `${runs[index].name} (copy)`,
+            createdAt: new Date().toISOString()
+        };
+        runs.splice(index, 0, copy);
+        this.save(runs);
+        return copy;
+    }
+
+    remove(id) {
+        this.save(this.list().filter(r => r.id !== id));
+    }
+
+    // Identity of a run's input and options (names and times aside)
+    static inputKey(run) {
+        return JSON.stringify([run.input, run.freq, run.text, run.bytes, run.tieBreak, run.arity, run.buildMode, run.maxLength]);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionHistory, HISTORY_MAX_RUNS };
+}
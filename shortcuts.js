@@ -0,0 +1,36 @@
+// Keyboard shortcuts of the tree page: which action a key press asks for.
+// The visualizer decides whether shortcuts apply (focus, open dialogs) and
+// runs the action.
+
+const SHORTCUT_KEYS = {
+    ArrowRight: 'step',
+    PageDown: 'step',
+    ArrowLeft: 'back',
+    PageUp: 'back',
+    ' ': 'play',
+    Home: 'first',
+    End: 'last',
+    '+': 'zoom-in',
+    '=': 'zoom-in',
+    '-': 'zoom-out',
+    '0': 'zoom-reset',
+    ']': 'faster',
+    '[': 'slower',
+    '?': 'help'
+};
+
+// Action for a keydown event (anything with key, code and the modifier
+// flags), or null. Shift with + or - changes the speed (the same keys without
+// Shift zoom); they are matched by physical key, since Shift turns - into _
+// on most layouts.
+function shortcutAction(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return null;
+    if (e.shiftKey && (e.code === 'Equal' || e.code === 'NumpadAdd')) return 'faster';
+    if (e.shiftKey && (e.code === 'Minus' || e.code === 'NumpadSubtract')) return 'slower';
+    return Object.prototype.hasOwnProperty.call(SHORTCUT_KEYS, e.key) ? SHORTCUT_KEYS[e.key] : null;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SHORTCUT_KEYS, shortcutAction };
+}
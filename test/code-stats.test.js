@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HuffmanCoding } = require('../huffman.js');
+const { selfInformation, entropyOf, kraftSum, savingsPercent, computeCodeStats } = require('../code-stats.js');
+
+// Huffman codes for a frequency map with the given arity
+function codesFor(freqMap, arity = 2) {
+    const huffman = new HuffmanCoding();
+    huffman.setArity(arity);
+    huffman.generateCodes(huffman.buildTree(freqMap));
+    return huffman.codes;
+}
+
+test('dyadic weights reach the entropy exactly', () => {
+    const freqMap = new Map([['a', 4], ['b', 2], ['c', 1], ['d', 1]]);
+    const stats = computeCodeStats(freqMap, codesFor(freqMap));
+    assert.equal(stats.entropy, 1.75);
+    assert.equal(stats.averageLength, 1.75);
+    assert.equal(stats.redundancy, 0);
+    assert.equal(stats.efficiency, 1);
+    assert.equal(stats.kraftSum, 1);
+    assert.deepEqual(stats.symbols.map(s => [s.char, s.information, s.length]), [['a', 1, 1], ['b', 2, 2], ['c', 3, 3], ['d', 3, 3]]);
+});
+
+test('huffman codes stay within one digit of the entropy in any base', () => {
+    const freqMap = new Map([['a', 45], ['b', 13], ['c', 12], ['d', 16], ['e', 9], ['f', 5]]);
+    [2, 3, 4].forEach(arity => {
+        const stats = computeCodeStats(freqMap, codesFor(freqMap, arity), arity);
+        assert.ok(Math.abs(stats.entropy - entropyOf(freqMap, arity)) < 1e-12);
+        assert.ok(stats.redundancy >= 0 && stats.redundancy < 1, `arity ${arity}`);
+        assert.ok(stats.kraftOk);
+    });
+});
+
+test('symbols without a code or weight are left out', () => {
+    const freqMap = new Map([['a', 1], ['b', 1], ['c', 0], ['d', 2]]);
+    const codes = new Map([['a', '0'], ['b', '1'], ['c', '10']]);
+    const stats = computeCodeStats(freqMap, codes);
+    assert.equal(stats.total, 2);
+    assert.deepEqual(stats.symbols.map(s => s.char), ['a', 'b']);
+    assert.equal(stats.entropy, 1);
+});
+
+test('kraft sums and self-information', () => {
+    assert.equal(kraftSum([1, 2, 2]), 1);
+    assert.equal(kraftSum([1, 1, 1], 3), 1);
+    assert.equal(kraftSum([1, 1, 2]), 1.25);
+    assert.equal(computeCodeStats(new Map([['a', 1], ['b', 1], ['c', 1]]), new Map([['a', '0'], ['b', '1'], ['c', '00']])).kraftOk, false);
+    assert.equal(selfInformation(0.25), 2);
+    assert.equal(selfInformation(0), 0);
+    assert.equal(entropyOf(new Map()), 0);
+});
+
+test('savings count each k-ary digit as log2(k) bits', () => {
+    assert.equal(savingsPercent(10, 10), 87.5);
+    // 10 quaternary digits are 20 bits
+    assert.equal(savingsPercent(10, 10, 4), 75);
+    assert.equal(savingsPercent(100, 10, 2), 0);
+    assert.equal(savingsPercent(0, 0), 0);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fixedLengthCodes, shannonCodes, arithmeticEncode, arithmeticDecode, compareCoders } = require('../coders.js');
+
+const TEXTBOOK = new Map([['a', 45], ['b', 13], ['c', 12], ['d', 16], ['e', 9], ['f', 5]]);
+
+// No code is a prefix of another
+function isPrefixFree(codes) {
+    const list = Array.from(codes.values());
+    return list.every((a, i) => list.every((b, j) => i === j || !b.startsWith(a)));
+}
+
+test('fixed-length codes use the fewest bits that number every symbol', () => {
+    const codes = fixedLengthCodes(TEXTBOOK);
+    assert.ok(Array.from(codes.values()).every(code => code.length === 3));
+    assert.ok(isPrefixFree(codes));
+});
+
+test('shannon codes are prefix-free with ceil(-log2 p) bits', () => {
+    const codes = shannonCodes(TEXTBOOK);
+    assert.ok(isPrefixFree(codes));
+    for (const [char, freq] of TEXTBOOK) {
+        assert.equal(codes.get(char).length, Math.max(1, Math.ceil(-Math.log2(freq / 100))));
+    }
+});
+
+test('arithmetic coding round-trips a message', () => {
+    const message = Array.from('abracadabra');
+    const model = new Map([['a', 5], ['b', 2], ['r', 2], ['c', 1], ['d', 1]]);
+    const bits = arithmeticEncode(message, model);
+    assert.deepEqual(arithmeticDecode(bits, message.length, model), message);
+    assert.throws(() => arithmeticEncode(['z'], model), (error) => error.position === 0);
+});
+
+test('the comparison ranks coders against the entropy', () => {
+    const { entropy, rows } = compareCoders(TEXTBOOK);
+    const bits = Object.fromEntries(rows.map(row => [row.name, row.bitsPerSymbol]));
+    assert.ok(entropy <= bits.huffman && bits.huffman <= bits.shannon && bits.shannon <= bits['fixed length']);
+    assert.equal(bits.huffman, 2.24);
+    assert.ok(Math.abs(bits.arithmetic - entropy) < 0.05);
+    assert.equal(rows.find(row => row.name === 'arithmetic').roundTrip, true);
+});
+
+test('huge integer weights are compared on a bounded sample', () => {
+    const { entropy, rows } = compareCoders(new Map([['a', 1e9], ['b', 3e8], ['c', 7]]));
+    const arithmetic = rows.find(row => row.name === 'arithmetic');
+    assert.equal(arithmetic.roundTrip, true);
+    assert.ok(Math.abs(arithmetic.bitsPerSymbol - entropy) < 0.05);
+});
+
+test('probability weights are compared like the counts they come from', () => {
+    const probabilities = new Map(Array.from(TEXTBOOK, ([char, freq]) => [char, freq / 100]));
+    const result = compareCoders(probabilities);
+    const huffman = result.rows.find(row => row.name === 'huffman');
+    assert.ok(Math.abs(huffman.bitsPerSymbol - 2.24) < 1e-9);
+    const arithmetic = result.rows.find(row => row.name === 'arithmetic');
+    assert.equal(arithmetic.roundTrip, true);
+    assert.ok(Math.abs(arithmetic.bitsPerSymbol - result.entropy) < 0.01);
+});
+
+test('fixed-length codes and ties are numbered in code point order', () => {
+    // U+FF01 sorts before U+1F600 by code point, but after it by UTF-16 unit
+    const freqMap = new Map([['😀', 1], ['！', 1], ['a', 1]]);
+    assert.deepEqual(Object.fromEntries(fixedLengthCodes(freqMap)), { a: '00', '！': '01', '😀': '10' });
+    assert.deepEqual(compareCoders(freqMap).symbols.map(sym => sym.char), ['a', '！', '😀']);
+});
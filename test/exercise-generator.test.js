@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { seededRandom, generateExercise, exerciseAnswerKey, EXERCISE_DISTRIBUTIONS } = require('../exercise-generator.js');
+
+test('the same seed gives the same random sequence', () => {
+    const first = seededRandom('seed-1');
+    const second = seededRandom('seed-1');
+    const sequence = Array.from({ length: 20 }, () => first());
+    assert.deepEqual(Array.from({ length: 20 }, () => second()), sequence);
+    assert.ok(sequence.every(x => x >= 0 && x < 1));
+    assert.notDeepEqual(Array.from({ length: 20 }, seededRandom('seed-2')), sequence);
+});
+
+test('the same seed and options give the same table', () => {
+    Object.keys(EXERCISE_DISTRIBUTIONS).forEach(distribution => {
+        const options = { seed: 'worksheet', size: 12, distribution, ties: true };
+        const exercise = generateExercise(options);
+        assert.deepEqual(generateExercise(options), exercise);
+        assert.equal(exercise.rows.length, 12);
+        assert.ok(exercise.rows.every(row => Number.isInteger(row.freq) && row.freq > 0));
+        assert.equal(new Set(exercise.rows.map(row => row.char)).size, 12);
+    });
+    // Surrounding spaces are not part of the seed
+    assert.deepEqual(generateExercise({ seed: ' s1 ' }).rows, generateExercise({ seed: 's1' }).rows);
+});
+
+test('fibonacci tables hold the first fibonacci numbers, shuffled', () => {
+    const weights = generateExercise({ seed: 'fib', size: 8, distribution: 'fibonacci' }).rows.map(row => row.freq);
+    assert.deepEqual(weights.sort((a, b) => a - b), [1, 1, 2, 3, 5, 8, 13, 21]);
+});
+
+test('bad options are refused', () => {
+    assert.throws(() => generateExercise({ seed: '  ' }), /Enter a seed/);
+    assert.throws(() => generateExercise({ seed: 'x', size: 1 }), /Alphabet size/);
+    assert.throws(() => generateExercise({ seed: 'x', size: 2.5 }), /Alphabet size/);
+    assert.throws(() => generateExercise({ seed: 'x', distribution: 'normal' }), /Unknown distribution/);
+    assert.throws(() => generateExercise({ seed: 'x', size: 31, distribution: 'geometric' }), /grow too fast/);
+});
+
+test('the answer key codes every symbol and totals its bits', () => {
+    const exercise = generateExercise({ seed: 'key', size: 10, distribution: 'zipf' });
+    const key = exerciseAnswerKey(exercise);
+    assert.deepEqual(key.rows.map(row => row.char), exercise.rows.map(row => row.char));
+    key.rows.forEach(row => {
+        assert.equal(row.code, key.huffman.codes.get(row.char));
+        assert.equal(row.bits, row.freq * row.code.length);
+    });
+    assert.equal(key.totalBits, key.rows.reduce((sum, row) => sum + row.bits, 0));
+    assert.equal(key.merges.length, exercise.rows.length - 1);
+});
+
+test('k-ary answer keys merge padding but leave it out of the rows', () => {
+    const exercise = {
+        rows: [{ char: 'A', freq: 3 }, { char: 'B', freq: 1 }, { char: 'C', freq: 1 }, { char: 'D', freq: 2 }]
+    };
+    const key = exerciseAnswerKey(exercise, { arity: 3 });
+    assert.equal(key.huffman.paddingCount(exercise.rows.length), 1);
+    assert.deepEqual(key.rows.map(row => row.code.length), [1, 2, 2, 1]);
+    assert.ok(key.rows.every(row => /^[012]+$/.test(row.code)));
+    assert.equal(key.totalBits, 9);
+    assert.equal(key.merges.length, 2);
+    assert.match(key.merges[0], /'pad' \(0\)/);
+});
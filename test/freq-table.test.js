@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSymbol, formatSymbol, parseWeight, parseFreqTable, formatFreqTable, FREQ_TABLE_FORMATS } = require('../freq-table.js');
+
+const ROWS = [
+    { char: 'a', freq: 5 },
+    { char: ' ', freq: 3 },
+    { char: ',', freq: 2 },
+    { char: '"', freq: 1 },
+    { char: '\n', freq: 4 },
+    { char: '\t', freq: 0.5 },
+    { char: '\\', freq: 1.25 },
+    { char: '\u00a0', freq: 2e-3 },
+    { char: '😀', freq: 7 },
+    { char: '#', freq: 1 }
+];
+
+FREQ_TABLE_FORMATS.forEach(format => {
+    test(`${format} tables round-trip awkward symbols and weights`, () => {
+        const text = formatFreqTable(ROWS, format);
+        const parsed = parseFreqTable(text, format).map(({ char, freq }) => ({ char, freq }));
+        assert.deepEqual(parsed, ROWS);
+        // The format is also recognised without being named
+        assert.deepEqual(parseFreqTable(text).map(({ char, freq }) => ({ char, freq })), ROWS);
+    });
+});
+
+test('symbols are written so parseSymbol reads them back', () => {
+    ['x', ' ', '\n', '\t', '\r', '\\', '\u0000', '\u200b', '\u{e0001}', 'é'].forEach(char => {
+        assert.equal(parseSymbol(formatSymbol(char)), char);
+    });
+    assert.equal(formatSymbol(' '), 'space');
+    assert.equal(formatSymbol('\u00a0'), '\\u00a0');
+    assert.equal(parseSymbol('SPACE'), ' ');
+    assert.equal(parseSymbol('\\u{1F600}'), '😀');
+    assert.throws(() => parseSymbol(''), /empty/);
+    assert.throws(() => parseSymbol('ab'), /must be one character/);
+    assert.throws(() => parseSymbol('\\u{110000}'), /beyond U\+10FFFF/);
+});
+
+test('weights must be positive numbers', () => {
+    assert.equal(parseWeight(' 12 '), 12);
+    assert.equal(parseWeight('.25'), 0.25);
+    assert.equal(parseWeight('1e-3'), 0.001);
+    ['', '0', '-1', 'abc', '1/2', '1e999'].forEach(raw => {
+        assert.throws(() => parseWeight(raw), /weight/);
+    });
+});
+
+test('comments, blank lines and headers are skipped', () => {
+    const rows = parseFreqTable('# letters\nsymbol,freq\n\na,3\n "b" , 2\nspace,1\r\n');
+    assert.deepEqual(rows, [
+        { char: 'a', freq: 3, line: 4 },
+        { char: 'b', freq: 2, line: 5 },
+        { char: ' ', freq: 1, line: 6 }
+    ]);
+    assert.deepEqual(parseFreqTable('{"x": 2, "space": 1}').map(row => row.char), ['x', ' ']);
+    assert.deepEqual(parseFreqTable('[["x", 2], ["y", 1]]').map(row => row.freq), [2, 1]);
+});
+
+test('errors name the line of the offending entry', () => {
+    assert.throws(() => parseFreqTable('a,1\nb,2\na,3'), err => err.line === 3 && /duplicate symbol 'a' \(first on line 1\)/.test(err.message));
+    assert.throws(() => parseFreqTable('a,1\nb'), err => err.line === 2 && /expected 2 fields/.test(err.message));
+    assert.throws(() => parseFreqTable('a\t1\nbc\t2'), err => err.line === 2 && /one character/.test(err.message));
+    assert.throws(() => parseFreqTable('[\n  ["a", 1],\n  ["b", -2]\n]'), err => err.line === 3);
+    assert.throws(() => parseFreqTable('# nothing here\n'), /the table is empty/);
+    assert.throws(() => formatFreqTable(ROWS, 'xml'), /Unknown table format/);
+});
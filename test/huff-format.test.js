@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HuffmanCoding } = require('../huffman.js');
+const { writeHuffFile, readHuffFile, HUFF_MAGIC } = require('../huff-format.js');
+
+// Huffman codes for the symbols of `text`
+function codesOf(text) {
+    const huffman = new HuffmanCoding();
+    huffman.generateCodes(huffman.buildTree(huffman.buildFrequencyMap(text)));
+    return huffman.codes;
+}
+
+test('.huff files round-trip with either code table', () => {
+    const text = 'she sells sea shells by the sea shore — ünïcödé 😀';
+    const codes = codesOf(text);
+    for (const table of ['lengths', 'tree']) {
+        const file = writeHuffFile(text, codes, { table });
+        assert.deepEqual(Array.from(file.subarray(0, 4)), HUFF_MAGIC);
+        const read = readHuffFile(file);
+        assert.equal(read.text, text, table);
+        assert.equal(read.length, Array.from(text).length);
+        assert.deepEqual(read.bytes, new TextEncoder().encode(text));
+    }
+});
+
+test('byte-mode files give back the original bytes', () => {
+    const huffman = new HuffmanCoding();
+    const input = Uint8Array.from([0, 255, 7, 7, 7, 128, 0, 42]);
+    const text = huffman.bytesToSymbols(input);
+    const file = writeHuffFile(text, codesOf(text), { symbolMode: 'bytes', table: 'tree' });
+    assert.deepEqual(readHuffFile(file).bytes, input);
+});
+
+test('damaged files are rejected with a reason', () => {
+    const file = writeHuffFile('abcabc', codesOf('abcabc'));
+    assert.throws(() => readHuffFile(file.subarray(0, 10)), /shorter than the 16-byte header/);
+    const badMagic = file.slice();
+    badMagic[0] = 0;
+    assert.throws(() => readHuffFile(badMagic), /bad magic/);
+    assert.throws(() => readHuffFile(file.subarray(0, file.length - 1)), /Payload ends in the middle of a code/);
+});
+
+test('byte mode refuses symbols that are not bytes', () => {
+    const codes = codesOf('aé€');
+    assert.throws(() => writeHuffFile('aé€', codes, { symbolMode: 'bytes' }), /U\+20AC is not a byte/);
+    assert.throws(() => writeHuffFile('ab', new Map([['a', '0'], ['bc', '1']])), /not a single character/);
+});
+
+test('a one-symbol code round-trips with either table', () => {
+    const codes = new Map([['x', '0']]);
+    for (const table of ['lengths', 'tree']) {
+        const read = readHuffFile(writeHuffFile('xxxx', codes, { table }));
+        assert.equal(read.text, 'xxxx', table);
+        assert.deepEqual(read.codes, codes, table);
+    }
+});
+
+test('code trees that are not full still need the lengths table', () => {
+    const codes = new Map([['a', '0'], ['b', '10']]);
+    assert.throws(() => writeHuffFile('ab', codes, { table: 'tree' }), /full binary code tree/);
+    assert.equal(readHuffFile(writeHuffFile('ab', codes)).text, 'ab');
+});
+
+// A lengths-table file with the given [code point, length] entries and no payload
+function lengthsFile(entries) {
+    const table = [0, 0, 0, entries.length];
+    entries.forEach(([codePoint, length]) => table.push(codePoint >> 16, (codePoint >> 8) & 0xff, codePoint & 0xff, length));
+    const header = [...HUFF_MAGIC, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, table.length];
+    return Uint8Array.from([...header, ...table]);
+}
+
+test('lengths tables that cannot be a prefix code are rejected', () => {
+    assert.equal(readHuffFile(lengthsFile([[97, 1], [98, 2], [99, 2]])).codes.get('c'), '11');
+    assert.throws(() => readHuffFile(lengthsFile([[97, 1], [98, 1], [99, 2]])), /Kraft sum above 1/);
+    assert.throws(() => readHuffFile(lengthsFile([[97, 1], [98, 0]])), /zero-length code/);
+    assert.throws(() => readHuffFile(lengthsFile([[97, 1], [97, 1]])), /repeats a symbol/);
+    assert.throws(() => readHuffFile(lengthsFile([[0x110000, 1]])), /beyond U\+10FFFF/);
+});
@@ -0,0 +1,369 @@
+// Run with `npm test` (Node's built-in test runner, no dependencies)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HuffmanCoding, MAX_ADAPTIVE_SYMBOLS, buildModeFor, printableSymbol, addWeights, normalizeWeights, formatWeight } = require('../huffman.js');
+
+const TEXTBOOK = new Map([['a', 45], ['b', 13], ['c', 12], ['d', 16], ['e', 9], ['f', 5]]);
+
+// Codes for a frequency map, built with the given options
+function codesFor(freqMap, { tieBreak = 'symbol', arity = 2, mode = 'buildTree' } = {}) {
+    const huffman = new HuffmanCoding();
+    huffman.setTieBreak(tieBreak);
+    huffman.setArity(arity);
+    const root = huffman[mode](freqMap);
+    huffman.generateCodes(root);
+    return { huffman, root, codes: huffman.codes };
+}
+
+test('textbook example gets the textbook code lengths', () => {
+    const { codes } = codesFor(TEXTBOOK);
+    const lengths = Object.fromEntries(Array.from(codes, ([char, code]) => [char, code.length]));
+    assert.deepEqual(lengths, { a: 1, b: 3, c: 3, d: 3, e: 4, f: 4 });
+});
+
+test('encode and decode round-trip text through a packed bitstream', () => {
+    const text = 'abracadabra, alakazam!';
+    const huffman = new HuffmanCoding();
+    const root = huffman.buildTree(huffman.buildFrequencyMap(text));
+    huffman.generateCodes(root);
+    const packed = huffman.encode(text);
+    assert.equal(packed[packed.length - 1], (8 - (huffman.encodeToBitString(text).length % 8)) % 8);
+    assert.equal(huffman.decode(packed, root), text);
+});
+
+test('a single-symbol tree still round-trips', () => {
+    const huffman = new HuffmanCoding();
+    const root = huffman.buildTree(new Map([['x', 4]]));
+    huffman.generateCodes(root);
+    assert.equal(huffman.codes.get('x'), '0');
+    assert.equal(huffman.decode(huffman.encode('xxxx'), root), 'xxxx');
+});
+
+test('encoding a symbol without a code reports its position', () => {
+    const { huffman } = codesFor(TEXTBOOK);
+    assert.throws(() => huffman.encodeToBitString('abz'), (error) => error.position === 2);
+});
+
+test('canonical codes keep the lengths and number codes in symbol order', () => {
+    const { huffman } = codesFor(TEXTBOOK);
+    const canonical = huffman.generateCanonicalCodes();
+    assert.deepEqual(Object.fromEntries(canonical), { a: '0', b: '100', c: '101', d: '110', e: '1110', f: '1111' });
+});
+
+// Step text of the first `count` merges
+function mergeDescriptions(freqMap, tieBreak, count) {
+    const huffman = new HuffmanCoding();
+    huffman.setTieBreak(tieBreak);
+    huffman.buildTree(freqMap);
+    return huffman.steps.slice(1, 1 + count).map(step => step.description);
+}
+
+test('symbol and insertion order break a tie between leaves differently', () => {
+    // O is inserted before I, but I is the smaller symbol
+    const vowels = new Map([['O', 7], ['I', 7], ['U', 3], ['A', 8], ['E', 12]]);
+    assert.deepEqual(mergeDescriptions(vowels, 'symbol', 1), ["Combining nodes 'U' (3) and 'I' (7) (tie broken by smallest symbol first)"]);
+    assert.deepEqual(mergeDescriptions(vowels, 'insertion', 1), ["Combining nodes 'U' (3) and 'O' (7) (tie broken by insertion order)"]);
+    assert.deepEqual(mergeDescriptions(vowels, 'merged-last', 1), ["Combining nodes 'U' (3) and 'I' (7) (tie broken by leaves before merged nodes)"]);
+});
+
+test('leaves-first rules take equal-weight leaves before a merged node', () => {
+    const weights = new Map([['a', 1], ['b', 1], ['c', 2], ['d', 2]]);
+    assert.equal(mergeDescriptions(weights, 'symbol', 2)[1], "Combining nodes 'internal' (2) and 'c' (2) (tie broken by smallest symbol first)");
+    assert.equal(mergeDescriptions(weights, 'merged-last', 2)[1], "Combining nodes 'c' (2) and 'd' (2) (tie broken by leaves before merged nodes)");
+    assert.equal(mergeDescriptions(weights, 'min-height', 2)[1], "Combining nodes 'c' (2) and 'd' (2) (tie broken by shortest subtree first)");
+});
+
+test('merges without equal weights at the cut-off carry no tie note', () => {
+    const huffman = new HuffmanCoding();
+    huffman.buildTree(TEXTBOOK);
+    assert.ok(huffman.steps.every(step => !step.tieBreak));
+});
+
+test('unknown tie-break rules are refused', () => {
+    assert.throws(() => new HuffmanCoding().setTieBreak('random'), /Unknown tie-break rule/);
+});
+
+test('a tie lists every queued node sharing the cut-off weight', () => {
+    const equal = new Map(Array.from('ABCDEFGH', char => [char, 1]));
+    const huffman = new HuffmanCoding();
+    huffman.buildTree(equal);
+    assert.equal(huffman.steps[1].tieBreak.tiedIds.length, 8);
+    assert.equal(huffman.steps[2].tieBreak.tiedIds.length, 6);
+});
+
+test('each step shows the queue in priority order with the new node first', () => {
+    const huffman = new HuffmanCoding();
+    huffman.buildTree(TEXTBOOK);
+    const [start, first] = huffman.steps;
+    assert.deepEqual(start.nodes.map(n => n.freq), [5, 9, 12, 13, 16, 45]);
+    assert.deepEqual(first.nodes.map(n => n.freq), [14, 12, 13, 16, 45]);
+    assert.deepEqual(first.highlightNodes, start.nodes.slice(0, 2).map(n => n.id));
+    assert.equal(first.heap.length, 5);
+});
+
+test('steps are clamped to the recorded ones and must be whole numbers', () => {
+    const { huffman } = codesFor(TEXTBOOK);
+    const last = huffman.steps.length - 1;
+    assert.equal(huffman.goToStep(99), true);
+    assert.equal(huffman.currentStep, last);
+    assert.equal(huffman.nextStep(), false);
+    assert.equal(huffman.goToStep(-4), true);
+    assert.equal(huffman.currentStep, 0);
+    assert.equal(huffman.prevStep(), false);
+    assert.throws(() => huffman.goToStep(1.5), /whole number, got 1.5/);
+    assert.throws(() => huffman.goToStep(NaN), /whole number/);
+    assert.equal(huffman.currentStep, 0);
+    assert.equal(new HuffmanCoding().goToStep(3), false);
+});
+
+test('a new build starts again from the first step', () => {
+    const { huffman } = codesFor(TEXTBOOK);
+    huffman.goToStep(3);
+    huffman.buildTreeTwoQueue(TEXTBOOK);
+    assert.equal(huffman.currentStep, 0);
+    assert.equal(huffman.codes.size, 0);
+    huffman.goToStep(2);
+    huffman.reset();
+    assert.equal(huffman.currentStep, 0);
+});
+
+test('two-queue construction gives the heap build codes for every rule and arity', () => {
+    const inputs = [
+        TEXTBOOK,
+        new Map([['a', 1], ['b', 1], ['c', 2], ['d', 2], ['e', 4], ['f', 4], ['g', 4]]),
+        new Map(Array.from('ABCDEFGHIJ', (char, i) => [char, 1 + (i % 3)]))
+    ];
+    for (const freqMap of inputs) {
+        for (const tieBreak of ['symbol', 'insertion', 'merged-last', 'min-height']) {
+            for (const arity of [2, 3, 4]) {
+                const heap = codesFor(freqMap, { tieBreak, arity }).codes;
+                const queues = codesFor(freqMap, { tieBreak, arity, mode: 'buildTreeTwoQueue' }).codes;
+                assert.deepEqual(queues, heap, `${tieBreak}, arity ${arity}`);
+            }
+        }
+    }
+});
+
+test('two-queue steps show each queue as it was at that step', () => {
+    const huffman = new HuffmanCoding();
+    huffman.buildTreeTwoQueue(new Map([['a', 1], ['b', 1], ['c', 1], ['d', 1], ['e', 5]]));
+    const weights = (nodes) => nodes.map(n => n.freq);
+    const queues = huffman.steps.slice(0, -1).map(step => [weights(step.queues.leaves), weights(step.queues.merged)]);
+    assert.deepEqual(queues, [
+        [[1, 1, 1, 1, 5], []],
+        [[1, 1, 5], [2]],
+        [[5], [2, 2]],
+        [[5], [4]],
+        [[], [9]]
+    ]);
+    // The forest puts the new node first, then both queues in dequeue order
+    assert.deepEqual(weights(huffman.steps[2].nodes), [2, 2, 5]);
+    assert.deepEqual(weights(huffman.steps[4].nodes), [9]);
+});
+
+const FIBONACCI = new Map([['A', 1], ['B', 1], ['C', 2], ['D', 3], ['E', 5], ['F', 8], ['G', 13], ['H', 21], ['I', 34], ['J', 55]]);
+
+test('package-merge finds the cheapest lengths within the limit', () => {
+    const lengths = new HuffmanCoding().limitCodeLengths(FIBONACCI, 4);
+    const cost = Array.from(lengths).reduce((sum, [char, length]) => sum + length * FIBONACCI.get(char), 0);
+    const kraft = Array.from(lengths.values()).reduce((sum, length) => sum + 2 ** -length, 0);
+    // 394 bits is the optimum over every prefix code of at most 4 bits
+    assert.equal(cost, 394);
+    assert.equal(kraft, 1);
+    assert.ok(Array.from(lengths.values()).every(length => length <= 4));
+});
+
+test('a length limit replaces the deep tree and reports the extra bits', () => {
+    const huffman = new HuffmanCoding();
+    huffman.setMaxCodeLength(4);
+    huffman.generateCodes(huffman.buildTree(FIBONACCI));
+    const root = huffman.enforceMaxCodeLength(FIBONACCI);
+    assert.ok(root);
+    assert.equal(Math.max(...Array.from(huffman.codes.values(), code => code.length)), 4);
+    assert.equal(Math.max(...Array.from(huffman.unlimitedCodes.values(), code => code.length)), 9);
+    const limitStep = huffman.steps[huffman.steps.length - 2].lengthLimit;
+    assert.deepEqual(limitStep, { maxLength: 4, previousDepth: 9, extraBits: huffman.lengthLimitCost });
+    assert.equal(huffman.lengthLimitCost, 31);
+});
+
+test('a limit too short for the symbol count is refused', () => {
+    assert.throws(() => new HuffmanCoding().limitCodeLengths(FIBONACCI, 3), /do not fit in codes of at most 3 bits/);
+});
+
+// Leaves of a tree, left to right
+function leavesOf(root) {
+    return root.isLeaf() ? [root] : root.children.flatMap(leavesOf);
+}
+
+test('adaptive steps escape new symbols through NYT and count every bit', () => {
+    const huffman = new HuffmanCoding();
+    const root = huffman.buildAdaptiveTree('abracadabra');
+    const updates = huffman.steps.filter(step => step.adaptive && step.adaptive.symbol !== undefined);
+    assert.equal(updates.length, 11);
+    let total = 0;
+    updates.forEach(({ adaptive }) => {
+        total += adaptive.emitted.length;
+        assert.equal(adaptive.totalBits, total);
+        if (adaptive.isNew) {
+            assert.equal(adaptive.emitted, adaptive.nytCode + adaptive.symbol.codePointAt(0).toString(2).padStart(8, '0'));
+        }
+    });
+    const weights = Object.fromEntries(leavesOf(root).filter(n => !n.placeholder).map(n => [n.char, n.freq]));
+    assert.deepEqual(weights, { a: 5, b: 2, r: 2, c: 1, d: 1 });
+});
+
+test('adaptive raw values widen for characters outside Latin-1', () => {
+    const huffman = new HuffmanCoding();
+    huffman.buildAdaptiveTree('a😀');
+    assert.match(huffman.steps[0].description, /21-bit raw value/);
+});
+
+test('adaptive mode refuses texts over the symbol limit', () => {
+    assert.throws(() => new HuffmanCoding().buildAdaptiveTree('x'.repeat(MAX_ADAPTIVE_SYMBOLS + 1)), /limited to/);
+});
+
+test('adaptive mode needs text, so tables from the manual tab build with the heap', () => {
+    // The manual and sample tabs have no source text
+    assert.equal(buildModeFor('adaptive', null), 'heap');
+    assert.equal(buildModeFor('adaptive', 'abracadabra'), 'adaptive');
+    assert.equal(buildModeFor('two-queue', null), 'two-queue');
+    [null, undefined, new Map([['a', 1]]), ['a', 'b']].forEach(input => {
+        assert.throws(() => new HuffmanCoding().buildAdaptiveTree(input), /replays the input text/);
+    });
+});
+
+test('n-ary trees add zero-weight padding so every merge is full', () => {
+    const huffman = new HuffmanCoding();
+    huffman.setArity(3);
+    assert.equal(huffman.paddingCount(4), 1);
+    assert.equal(huffman.paddingCount(5), 0);
+    const { root, codes } = codesFor(new Map([['a', 1], ['b', 2], ['c', 3], ['d', 5]]), { arity: 3 });
+    assert.ok(root.children.length === 3);
+    assert.ok(Array.from(codes.values()).every(code => /^[012]+$/.test(code)));
+    assert.equal(leavesOf(root).filter(n => n.placeholder).length, 1);
+});
+
+test('real symbols named like the padding and NYT leaves keep their codes', () => {
+    const freqMap = new Map([['pad', 5], ['NYT', 4], ['a', 1], ['b', 2]]);
+    for (const mode of ['buildTree', 'buildTreeTwoQueue']) {
+        const { huffman, root, codes } = codesFor(freqMap, { arity: 3, mode });
+        assert.deepEqual(Array.from(codes.keys()).sort(), ['NYT', 'a', 'b', 'pad']);
+        assert.equal(huffman.decode(['pad', 'NYT', 'a'].map(char => codes.get(char)).join(''), root), 'padNYTa');
+    }
+});
+
+test('decoded symbols carry their bit ranges and root-to-leaf paths', () => {
+    const { huffman, root } = codesFor(TEXTBOOK);
+    const bits = huffman.encodeToBitString('fab');
+    const symbols = huffman.decodeSymbols(bits, root);
+    assert.deepEqual(symbols.map(s => [s.char, s.start, s.end]), [['f', 0, 4], ['a', 4, 5], ['b', 5, 8]]);
+    symbols.forEach(s => {
+        assert.equal(s.path[0], root.id);
+        assert.equal(s.path.length, s.end - s.start + 1);
+    });
+});
+
+test('the decoding walk has one frame per bit and emits on the last bit of a code', () => {
+    const { huffman, root } = codesFor(TEXTBOOK);
+    const frames = huffman.decodeWalk(huffman.encodeToBitString('ab'), root);
+    assert.equal(frames.length, 4);
+    assert.deepEqual(frames.map(f => f.emitted), ['a', null, null, 'b']);
+    assert.deepEqual(frames.map(f => f.output), ['a', 'a', 'a', 'ab']);
+    assert.deepEqual(frames.map(f => f.path.length), [2, 2, 3, 4]);
+});
+
+test('bad bitstreams report the position at fault', () => {
+    const { huffman, root } = codesFor(TEXTBOOK);
+    assert.throws(() => huffman.decodeSymbols('0102', root), (error) => error.position === 3 && /Invalid bit '2'/.test(error.message));
+    assert.throws(() => huffman.decodeSymbols('0110', root), (error) => error.position === 1 && /ends in the middle of a code/.test(error.message));
+    assert.throws(() => huffman.decodeSymbols('01', null), /tree is required/);
+    // A code that reaches a padding leaf is not a symbol
+    const ternary = codesFor(new Map([['a', 1], ['b', 1]]), { arity: 3 });
+    const padCode = ['0', '1', '2'].find(digit => !Array.from(ternary.codes.values()).includes(digit));
+    assert.throws(() => ternary.huffman.decodeSymbols(padCode, ternary.root), /leaf, not a symbol/);
+});
+
+test('bytes round-trip through one-character symbols', () => {
+    const huffman = new HuffmanCoding();
+    const bytes = Uint8Array.from({ length: 20000 }, (_, i) => (i * 7) % 256);
+    const symbols = huffman.bytesToSymbols(bytes);
+    assert.equal(symbols.length, bytes.length);
+    assert.ok(Array.from(symbols).every(ch => ch.charCodeAt(0) < 0x100));
+    assert.deepEqual(huffman.symbolsToBytes(symbols), bytes);
+});
+
+test('byte symbols build, encode and decode like text', () => {
+    const huffman = new HuffmanCoding();
+    huffman.byteSymbols = true;
+    // 'é' in UTF-8 is the two bytes 0xC3 0xA9
+    const text = huffman.bytesToSymbols(new TextEncoder().encode('café café'));
+    const root = huffman.buildTree(huffman.buildFrequencyMap(text));
+    huffman.generateCodes(root);
+    assert.equal(huffman.codes.size, 6);
+    assert.equal(huffman.decode(huffman.encode(text), root), text);
+    assert.match(huffman.steps.map(step => step.description).join('\n'), /0xC3/);
+});
+
+test('symbol labels show invisible characters and high bytes', () => {
+    assert.equal(printableSymbol(' '), '␣');
+    assert.equal(printableSymbol('\n'), '␊');
+    assert.equal(printableSymbol('\u007f'), '␡');
+    assert.equal(printableSymbol('\u00a0'), 'U+00A0');
+    assert.equal(printableSymbol('é'), 'é');
+    assert.equal(printableSymbol('é', true), '0xE9');
+    assert.equal(printableSymbol('A', true), 'A');
+    assert.equal(printableSymbol(null), null);
+});
+
+test('probabilities build the same code lengths as the counts they come from', () => {
+    const counts = codesFor(TEXTBOOK).codes;
+    const probabilities = codesFor(normalizeWeights(TEXTBOOK)).codes;
+    assert.deepEqual(Array.from(probabilities, ([char, code]) => [char, code.length]),
+                     Array.from(counts, ([char, code]) => [char, code.length]));
+});
+
+test('normalised weights sum to 1', () => {
+    const weights = normalizeWeights(new Map([['a', 1], ['b', 2], ['c', 3]]));
+    assert.deepEqual(Array.from(weights.keys()), ['a', 'b', 'c']);
+    assert.equal(weights.get('c'), 0.5);
+    assert.equal(addWeights(...weights.values()), 1);
+});
+
+test('fractional sums are rounded so equal weights still tie', () => {
+    assert.equal(addWeights(0.1, 0.2), 0.3);
+    assert.equal(addWeights(2, 3), 5);
+    const huffman = new HuffmanCoding();
+    huffman.buildTree(new Map([['a', 0.1], ['b', 0.2], ['c', 0.3], ['d', 0.4]]));
+    assert.equal(huffman.steps[2].description, "Combining nodes 'internal' (0.3) and 'c' (0.3) (tie broken by smallest symbol first)");
+});
+
+test('weights are shown whole or to four decimal places', () => {
+    assert.equal(formatWeight(12), '12');
+    assert.equal(formatWeight(0.123456), '0.1235');
+    assert.equal(formatWeight(0.5), '0.5');
+    assert.equal(formatWeight(0.000123456), '0.000123');
+});
+
+test('walk paths follow the code digits from the root to the leaf', () => {
+    const { huffman, root, codes } = codesFor(TEXTBOOK, { arity: 3 });
+    const text = 'feedface';
+    const frames = huffman.decodeWalk(huffman.encodeToBitString(text), root);
+    let offset = 0;
+    Array.from(text).forEach(char => {
+        const code = codes.get(char);
+        // The nodes the digits of this code lead through
+        const expected = [root];
+        Array.from(code, digit => expected.push(expected[expected.length - 1].children[Number(digit)]));
+        const last = frames[offset + code.length - 1];
+        assert.deepEqual(last.path, expected.map(node => node.id));
+        assert.equal(last.emitted, char);
+        // Earlier frames of the code show a prefix of the same path
+        for (let i = 0; i < code.length - 1; i++) {
+            assert.deepEqual(frames[offset + i].path, last.path.slice(0, i + 2));
+            assert.equal(frames[offset + i].emitted, null);
+        }
+        offset += code.length;
+    });
+    assert.equal(frames.length, offset);
+    assert.equal(frames[frames.length - 1].output, text);
+});
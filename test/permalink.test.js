@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodePermalink, decodePermalink, withValidOptions, PERMALINK_DEFAULTS } = require('../permalink.js');
+
+test('links round-trip the input, options and step', () => {
+    const state = {
+        input: 'manual',
+        freq: [['a', 5], [',', 2], [':', 1], ['é', 0.5], [' ', 3]],
+        tieBreak: 'min-height',
+        showWeights: false,
+        speed: 1.5,
+        arity: 3,
+        buildMode: 'two-queue',
+        maxLength: 4,
+        bytes: false,
+        step: 6
+    };
+    assert.deepEqual(decodePermalink(encodePermalink(state)), state);
+});
+
+test('options left at their defaults are not written', () => {
+    const hash = encodePermalink({ input: 'sample2', freq: [['A', 8], ['E', 12]] });
+    assert.equal(hash, '#in=sample2&w=1&sp=1&st=1&f=A:8,E:12');
+    assert.deepEqual(decodePermalink(hash), { ...PERMALINK_DEFAULTS, input: 'sample2', freq: [['A', 8], ['E', 12]] });
+});
+
+test('hashes without a frequency map are ignored and bad ones refused', () => {
+    assert.equal(decodePermalink('#section'), null);
+    assert.throws(() => decodePermalink('#f=a:1,b:x'), /entry 2 of the frequency map/);
+    assert.throws(() => decodePermalink('#f=a:1,a:2'), /appears twice/);
+    assert.throws(() => decodePermalink('#k=two&f=a:1'), /k must be a number/);
+});
+
+test('options the page does not offer fall back to the defaults', () => {
+    const state = withValidOptions(decodePermalink('#tb=random&k=12&b=quantum&sp=9&st=1.5&f=a:1,b:2'));
+    assert.equal(state.tieBreak, PERMALINK_DEFAULTS.tieBreak);
+    assert.equal(state.arity, PERMALINK_DEFAULTS.arity);
+    assert.equal(state.buildMode, PERMALINK_DEFAULTS.buildMode);
+    assert.equal(state.speed, PERMALINK_DEFAULTS.speed);
+    assert.equal(state.step, PERMALINK_DEFAULTS.step);
+    const kept = withValidOptions(decodePermalink('#tb=insertion&k=10&b=shannon-fano&sp=0.25&st=3&f=a:1,b:2'));
+    assert.deepEqual([kept.tieBreak, kept.arity, kept.buildMode, kept.speed, kept.step], ['insertion', 10, 'shannon-fano', 0.25, 2]);
+});
+
+test('code length limits below one or fractional fall back to no limit', () => {
+    ['0', '-3', '1.5'].forEach(max => {
+        assert.equal(withValidOptions(decodePermalink(`#max=${max}&f=a:1,b:2`)).maxLength, PERMALINK_DEFAULTS.maxLength, `max=${max}`);
+    });
+    assert.equal(withValidOptions(decodePermalink('#max=1&f=a:1,b:2')).maxLength, 1);
+    assert.equal(withValidOptions(decodePermalink('#f=a:1,b:2')).maxLength, null);
+});
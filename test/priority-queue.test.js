@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MinHeap } = require('../priority-queue.js');
+
+test('extractMin returns items in priority order', () => {
+    const heap = new MinHeap();
+    [5, 3, 9, 1, 7, 3, 8].forEach(n => heap.insert(n));
+    const out = [];
+    while (heap.size()) out.push(heap.extractMin());
+    assert.deepEqual(out, [1, 3, 3, 5, 7, 8, 9]);
+    assert.equal(heap.extractMin(), undefined);
+});
+
+test('operations are logged until drained', () => {
+    const heap = new MinHeap();
+    heap.insert(2);
+    heap.insert(1);
+    heap.extractMin();
+    assert.deepEqual(heap.drainOperations().map(op => op.type), ['insert', 'insert', 'sift-up', 'extract-min']);
+    assert.deepEqual(heap.drainOperations(), []);
+});
+
+test('headWhere finds every item of a priority prefix', () => {
+    const heap = new MinHeap();
+    const values = [12, 4, 4, 9, 1, 4, 15, 2, 8, 4, 30, 1];
+    values.forEach(n => heap.insert(n));
+    for (const limit of [0, 1, 4, 9, 100]) {
+        const expected = values.filter(n => n <= limit).sort((a, b) => a - b);
+        assert.deepEqual(heap.headWhere(n => n <= limit).sort((a, b) => a - b), expected);
+    }
+    assert.deepEqual(new MinHeap().headWhere(() => true), []);
+});
+
+test('levelsOf splits a heap array into tree levels', () => {
+    assert.deepEqual(MinHeap.levelsOf([1, 2, 3, 4, 5, 6, 7, 8]), [[1], [2, 3], [4, 5, 6, 7], [8]]);
+});
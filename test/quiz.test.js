@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HuffmanCoding } = require('../huffman.js');
+const { mergeQuestion, gradeMerge, codeQuestions, gradeCode } = require('../quiz.js');
+
+// Three tied light symbols, so the first merge has a tie to break
+const TIED = new Map([['a', 1], ['b', 1], ['c', 1], ['d', 5]]);
+
+function built(freqMap) {
+    const huffman = new HuffmanCoding();
+    const root = huffman.buildTree(freqMap);
+    huffman.generateCodes(root);
+    return huffman;
+}
+
+// Id of the leaf for `char` in a question's forest
+function leafId(question, char) {
+    return question.forest.find(node => node.char === char).id;
+}
+
+test('each merge step asks for the nodes the next step merges', () => {
+    const { steps } = built(TIED);
+    const questions = steps.map((step, i) => mergeQuestion(steps, i));
+    // One question per merge; the final tree has none
+    assert.equal(questions.filter(Boolean).length, TIED.size - 1);
+    assert.equal(questions[questions.length - 1], null);
+    const first = questions[0];
+    assert.deepEqual(first.answerIds, steps[1].highlightNodes);
+    assert.deepEqual(first.answerIds, [leafId(first, 'a'), leafId(first, 'b')]);
+    assert.equal(first.tieBreak.rule, 'symbol');
+});
+
+test('the tie-break pick is correct, in either order', () => {
+    const { steps } = built(TIED);
+    const question = mergeQuestion(steps, 0);
+    const result = gradeMerge(question, [leafId(question, 'b'), leafId(question, 'a')]);
+    assert.equal(result.correct, true);
+    assert.match(result.message, /^correct: 'a' \(1\), 'b' \(1\) are the 2 lightest nodes/);
+});
+
+test('other nodes of the same weights are optimal too', () => {
+    const { steps } = built(TIED);
+    const question = mergeQuestion(steps, 0);
+    const result = gradeMerge(question, [leafId(question, 'a'), leafId(question, 'c')]);
+    assert.equal(result.correct, true);
+    assert.match(result.message, /equal weights tie/);
+    assert.match(result.message, new RegExp(`tie-break rule \\(${question.tieBreak.label}\\) picks 'a' \\(1\\), 'b' \\(1\\)`));
+});
+
+test('wrong picks explain why each extra node is wrong', () => {
+    const { steps } = built(TIED);
+    const question = mergeQuestion(steps, 0);
+    const result = gradeMerge(question, [leafId(question, 'c'), leafId(question, 'd')]);
+    assert.equal(result.correct, false);
+    assert.match(result.message, /'c' \(1\) is not among the lightest once ties are broken/);
+    assert.match(result.message, /'d' \(5\) is heavier than every node that is merged/);
+    assert.equal(gradeMerge(question, [leafId(question, 'a')]).correct, false);
+});
+
+test('code questions take the lightest, the heaviest and ones in between', () => {
+    const freqMap = new Map([['a', 45], ['b', 13], ['c', 12], ['d', 16], ['e', 9], ['f', 5]]);
+    const { codes } = built(freqMap);
+    assert.deepEqual(codeQuestions(codes, freqMap), ['f', 'a', 'c']);
+    assert.deepEqual(codeQuestions(codes, freqMap, 6).sort(), ['a', 'b', 'c', 'd', 'e', 'f']);
+    // Symbols outside the frequency map (padding) are never asked
+    const padded = new Map(codes).set('\u0000pad', '111111');
+    assert.equal(codeQuestions(padded, freqMap, 10).length, 6);
+});
+
+test('typed codes are graded with the root-to-leaf walk', () => {
+    const codes = new Map([['x', '10'], ['y', '021']]);
+    assert.deepEqual(gradeCode('x', ' 1 0 ', codes), { correct: true, message: "'x' is 10" });
+    assert.equal(gradeCode('x', '01', codes).message, "'x' is 10, not 01: from the root go right, left");
+    assert.equal(gradeCode('x', '', codes).message, "'x' is 10: from the root go right, left");
+    assert.equal(gradeCode('y', '2', codes, 3).message, "'y' is 021, not 2: from the root go child 0, child 2, child 1");
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SAMPLE_DATASETS, findSample } = require('../sample-data.js');
+const { HuffmanCoding } = require('../huffman.js');
+
+test('sample ids are unique and every sample has a name and a description', () => {
+    const ids = SAMPLE_DATASETS.map(sample => sample.id);
+    assert.equal(new Set(ids).size, ids.length);
+    SAMPLE_DATASETS.forEach(sample => {
+        assert.ok(sample.name && sample.description, sample.id);
+        assert.ok(!sample.table !== !sample.text, `${sample.id} has a table or a text`);
+    });
+});
+
+test('ids from older links and history keep loading the same data', () => {
+    assert.deepEqual(findSample('sample1').table, [['A', 5], ['B', 9], ['C', 12], ['D', 13], ['E', 16], ['F', 45]]);
+    assert.deepEqual(findSample('sample2').table, [['A', 8], ['E', 12], ['I', 7], ['O', 7], ['U', 3]]);
+    assert.deepEqual(findSample('sample3').table, [['0', 1], ['1', 3], ['2', 4], ['3', 2]]);
+    assert.equal(findSample('manual'), null);
+    assert.equal(findSample(undefined), null);
+});
+
+test('every sample builds a tree over all of its symbols', () => {
+    SAMPLE_DATASETS.forEach(sample => {
+        const huffman = new HuffmanCoding();
+        const freqMap = sample.table ? new Map(sample.table) : huffman.buildFrequencyMap(sample.text);
+        if (sample.table) {
+            assert.equal(freqMap.size, sample.table.length, `${sample.id} repeats a symbol`);
+            assert.ok(sample.table.every(([char, freq]) => Array.from(char).length === 1 && freq > 0), sample.id);
+        }
+        huffman.generateCodes(huffman.buildTree(freqMap));
+        assert.deepEqual(Array.from(huffman.codes.keys()).sort(), Array.from(freqMap.keys()).sort(), sample.id);
+    });
+});
+
+test('the fibonacci sample gives the deepest tree and equal weights a balanced one', () => {
+    const depth = (id) => {
+        const huffman = new HuffmanCoding();
+        huffman.generateCodes(huffman.buildTree(new Map(findSample(id).table)));
+        return Array.from(huffman.codes.values(), code => code.length);
+    };
+    assert.equal(Math.max(...depth('fibonacci')), findSample('fibonacci').table.length - 1);
+    assert.ok(depth('equal').every(length => length === 3));
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionHistory, HISTORY_MAX_RUNS } = require('../session-history.js');
+
+// In-memory stand-in for localStorage; setItem fails once a value passes `limit` characters
+function memoryStorage(limit = Infinity) {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            if (value.length > limit) throw new Error('quota exceeded');
+            items.set(key, value);
+        }
+    };
+}
+
+const RUN = { name: 'vowels', input: 'sample2', freq: [['A', 8], ['E', 12]], tieBreak: 'symbol', arity: 2, buildMode: 'heap', maxLength: null };
+
+test('runs are listed newest first and rebuilding one moves it to the top', () => {
+    const history = new SessionHistory(memoryStorage());
+    const first = history.add(RUN);
+    history.add({ ...RUN, name: 'ternary', arity: 3 });
+    const again = history.add({ ...RUN, name: 'ignored' });
+    assert.equal(again.id, first.id);
+    assert.equal(again.name, 'vowels');
+    assert.deepEqual(history.list().map(run => run.arity), [2, 3]);
+});
+
+test('runs can be renamed, duplicated and removed', () => {
+    const history = new SessionHistory(memoryStorage());
+    const run = history.add(RUN);
+    history.rename(run.id, 'my vowels');
+    const copy = history.duplicate(run.id);
+    assert.equal(copy.name, 'my vowels (copy)');
+    assert.notEqual(copy.id, run.id);
+    history.remove(run.id);
+    assert.deepEqual(history.list().map(r => r.id), [copy.id]);
+    assert.throws(() => history.rename(run.id, 'gone'), /no longer in the history/);
+});
+
+test('the history keeps the newest runs that fit', () => {
+    const history = new SessionHistory(memoryStorage());
+    for (let i = 0; i < HISTORY_MAX_RUNS + 5; i++) history.add({ ...RUN, freq: [['A', i + 1]] });
+    assert.equal(history.list().length, HISTORY_MAX_RUNS);
+    assert.deepEqual(history.list()[0].freq, [['A', HISTORY_MAX_RUNS + 5]]);
+
+    const small = new SessionHistory(memoryStorage(600));
+    for (let i = 0; i < 10; i++) small.add({ ...RUN, freq: [['A', i + 1]] });
+    assert.ok(small.list().length < 10);
+    assert.deepEqual(small.list()[0].freq, [['A', 10]]);
+});
+
+test('unreadable or missing storage gives an empty history', () => {
+    const storage = memoryStorage();
+    storage.setItem('huffman-visualizer-history', '{not json');
+    const original = console.warn;
+    console.warn = () => {};
+    try {
+        assert.deepEqual(new SessionHistory(storage).list(), []);
+    } finally {
+        console.warn = original;
+    }
+    assert.deepEqual(new SessionHistory(null).list(), []);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { shortcutAction } = require('../shortcuts.js');
+
+// A keydown event with no modifiers unless given
+const key = (key, extra = {}) => ({ key, code: '', ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...extra });
+
+test('arrows, page keys, space, home and end move through the steps', () => {
+    assert.equal(shortcutAction(key('ArrowRight')), 'step');
+    assert.equal(shortcutAction(key('PageDown')), 'step');
+    assert.equal(shortcutAction(key('ArrowLeft')), 'back');
+    assert.equal(shortcutAction(key('PageUp')), 'back');
+    assert.equal(shortcutAction(key(' ')), 'play');
+    assert.equal(shortcutAction(key('Home')), 'first');
+    assert.equal(shortcutAction(key('End')), 'last');
+});
+
+test('+, - and 0 zoom; shift with + or - changes the speed', () => {
+    assert.equal(shortcutAction(key('=', { code: 'Equal' })), 'zoom-in');
+    assert.equal(shortcutAction(key('+', { code: 'NumpadAdd' })), 'zoom-in');
+    assert.equal(shortcutAction(key('-', { code: 'Minus' })), 'zoom-out');
+    assert.equal(shortcutAction(key('0', { code: 'Digit0' })), 'zoom-reset');
+    assert.equal(shortcutAction(key('+', { code: 'Equal', shiftKey: true })), 'faster');
+    assert.equal(shortcutAction(key('+', { code: 'NumpadAdd', shiftKey: true })), 'faster');
+    // Shift turns - into _ on most layouts
+    assert.equal(shortcutAction(key('_', { code: 'Minus', shiftKey: true })), 'slower');
+    assert.equal(shortcutAction(key('-', { code: 'NumpadSubtract', shiftKey: true })), 'slower');
+    assert.equal(shortcutAction(key(']')), 'faster');
+    assert.equal(shortcutAction(key('[')), 'slower');
+});
+
+test('? opens the help and other keys or modified keys do nothing', () => {
+    assert.equal(shortcutAction(key('?', { code: 'Slash', shiftKey: true })), 'help');
+    assert.equal(shortcutAction(key('a')), null);
+    assert.equal(shortcutAction(key('Enter')), null);
+    assert.equal(shortcutAction(key('toString')), null);
+    assert.equal(shortcutAction(key('ArrowRight', { altKey: true })), null);
+    assert.equal(shortcutAction(key('=', { code: 'Equal', ctrlKey: true })), null);
+    assert.equal(shortcutAction(key('+', { code: 'Equal', metaKey: true, shiftKey: true })), null);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HuffmanCoding } = require('../huffman.js');
+const { treeToJSON, treeFromJSON, preorderBitsBlocker, treeToPreorderBits, treeToNewick } = require('../tree-formats.js');
+
+// A built tree with its codes
+function built(freqMap, arity = 2) {
+    const huffman = new HuffmanCoding();
+    huffman.setArity(arity);
+    const root = huffman.buildTree(freqMap);
+    huffman.generateCodes(root);
+    return { root, codes: huffman.codes };
+}
+
+test('tree JSON round-trips shape, weights, ids and codes', () => {
+    const { root, codes } = built(new Map([['a', 45], ['b', 13], ['c', 12], ['d', 16], ['e', 9], ['f', 5]]));
+    const json = treeToJSON(root, { codes });
+    const read = treeFromJSON(JSON.stringify(json));
+    assert.equal(read.arity, 2);
+    assert.equal(read.byteSymbols, false);
+    assert.deepEqual(treeToJSON(read.root, { codes }), json);
+});
+
+test('tree JSON keeps padding leaves apart from real symbols', () => {
+    const { root, codes } = built(new Map([['pad', 5], ['a', 1], ['b', 2], ['c', 3]]), 3);
+    const json = treeToJSON(root, { arity: 3, codes });
+    const read = treeFromJSON(json);
+    assert.equal(read.arity, 3);
+    const leaves = (node) => (node.isLeaf() ? [node] : node.children.flatMap(leaves));
+    const padding = leaves(read.root).filter(n => n.placeholder);
+    assert.equal(padding.length, 1);
+    assert.equal(padding[0].freq, 0);
+    assert.ok(leaves(read.root).some(n => n.char === 'pad' && !n.placeholder));
+});
+
+test('tree JSON errors name the offending node', () => {
+    const { root } = built(new Map([['a', 1], ['b', 2]]));
+    const json = treeToJSON(root);
+    json.tree.children[1].freq = -1;
+    assert.throws(() => treeFromJSON(json), /tree\.children\[1\]\.freq must be a non-negative number/);
+    assert.throws(() => treeFromJSON('{'), /Not valid JSON/);
+    assert.throws(() => treeFromJSON({ format: 'other' }), /Not a saved Huffman tree/);
+});
+
+test('pre-order bits and Newick describe the same tree', () => {
+    const { root } = built(new Map([['a', 1], ['b', 2], ['c', 4]]));
+    // Root and its 0 child are internal (0, 0), then the leaves a, b and c
+    const sym = (char) => `1${char.codePointAt(0).toString(2).padStart(21, '0')}`;
+    assert.equal(treeToPreorderBits(root), `00${sym('a')}${sym('b')}${sym('c')}`);
+    assert.equal(treeToNewick(root), '((a[1],b[2])3,c[4])7;\n');
+});
+
+test('pre-order bits refuse trees with placeholder leaves, with the reason', () => {
+    const huffman = new HuffmanCoding();
+    const adaptive = huffman.buildAdaptiveTree('abracadabra');
+    assert.match(preorderBitsBlocker(adaptive), /NYT leaf/);
+    assert.throws(() => treeToPreorderBits(adaptive), /export JSON or DOT instead/);
+    assert.match(preorderBitsBlocker(built(new Map([['a', 1], ['b', 2], ['c', 3]]), 3).root), /arity 2/);
+    assert.equal(preorderBitsBlocker(built(new Map([['a', 1], ['b', 2]])).root), null);
+    // The adaptive tree still exports as JSON
+    assert.equal(treeFromJSON(JSON.stringify(treeToJSON(adaptive))).root.freq, 11);
+});
@@ -0,0 +1,175 @@
+// Text formats for a finished Huffman tree: structured JSON (which can be
+// read back in), compact pre-order bits, Graphviz DOT and Newick.
+
+const TREE_JSON_FORMAT = 'huffman-tree';
+const TREE_JSON_VERSION = 1;
+
+// Resolve the node class in the browser (globals) or in Node
+function treeNodeClass() {
+    return typeof HuffmanNode !== 'undefined' ? HuffmanNode : require('./huffman.js').HuffmanNode;
+}
+
+// { format, version, arity, symbols, tree } where tree nodes are
+// { id, freq, children } and leaves { id, symbol, freq, code }. Padding and
+// NYT leaves also get placeholder: true and never have a code.
+function treeToJSON(root, { arity = 2, byteSymbols = false, codes = new Map() } = {}) {
+    const toNode = (node) => {
+        if (!node.isLeaf()) return { id: node.id, freq: node.freq, children: node.children.map(toNode) };
+        return node.placeholder
+            ? { id: node.id, symbol: node.char, freq: node.freq, code: null, placeholder: true }
+            : { id: node.id, symbol: node.char, freq: node.freq, code: codes.get(node.char) ?? null };
+    };
+    return {
+        format: TREE_JSON_FORMAT,
+        version: TREE_JSON_VERSION,
+        arity,
+        symbols: byteSymbols ? 'bytes' : 'utf8',
+        tree: root ? toNode(root) : null
+    };
+}
+
+// Parse JSON written by treeToJSON back into frozen HuffmanNodes. Errors name
+// the path of the offending node, e.g. tree.children[1].freq.
+function treeFromJSON(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (e) {
+            throw new Error(`Not valid JSON: ${e.message}`);
+        }
+    }
+    if (!data || data.format !== TREE_JSON_FORMAT) {
+        throw new Error(`Not a saved Huffman tree (format must be "${TREE_JSON_FORMAT}")`);
+    }
+    if (data.version !== TREE_JSON_VERSION) {
+        throw new Error(`Unsupported tree version ${data.version}`);
+    }
+    const arity = data.arity ?? 2;
+    if (!Number.isInteger(arity) || arity < 2 || arity > 10) {
+        throw new Error(`arity must be an integer from 2 to 10: ${arity}`);
+    }
+    if (!data.tree) throw new Error('tree is missing');
+
+    const Node = treeNodeClass();
+    const ids = new Set();
+    const symbols = new Set();
+    const build = (node, path) => {
+        if (!node || typeof node !== 'object') throw new Error(`${path} must be an object`);
+        if (typeof node.freq !== 'number' || !Number.isFinite(node.freq) || node.freq < 0) {
+            throw new Error(`${path}.freq must be a non-negative number`);
+        }
+        const id = node.id === undefined ? undefined : String(node.id);
+        if (id !== undefined) {
+            if (ids.has(id)) throw new Error(`${path}.id '${id}' is used twice`);
+            ids.add(id);
+        }
+        if (Array.isArray(node.children) && node.children.length) {
+            if (node.children.length !== arity) {
+                throw new Error(`${path}.children must have ${arity} entries (arity ${arity})`);
+            }
+            const children = node.children.map((child, i) => build(child, `${path}.children[${i}]`));
+            return Object.freeze(new Node(null, node.freq, null, null, id, children));
+        }
+        if (typeof node.symbol !== 'string' || node.symbol === '') {
+            throw new Error(`${path}.symbol must be a non-empty string`);
+        }
+        const leaf = new Node(node.symbol, node.freq, null, null, id);
+        if (node.placeholder === true) {
+            leaf.placeholder = true;
+        } else {
+            if (symbols.has(node.symbol)) throw new Error(`${path}.symbol '${node.symbol}' appears twice`);
+            symbols.add(node.symbol);
+        }
+        return Object.freeze(leaf);
+    };
+    return { root: build(data.tree, 'tree'), arity, byteSymbols: data.symbols === 'bytes' };
+}
+
+// Why a tree cannot be written as pre-order bits, or null if it can. Only
+// symbols have a bit pattern, so placeholder leaves (the NYT leaf of an
+// adaptive tree, padding) cannot be stored.
+function preorderBitsBlocker(root) {
+    const stack = root ? [root] : [];
+    while (stack.length) {
+        const node = stack.pop();
+        if (node.isLeaf()) {
+            if (node.placeholder) {
+                return `Pre-order bits can only store symbols, and this tree has a '${node.char}' leaf (adaptive trees keep an NYT leaf); export JSON or DOT instead`;
+            }
+            if (Array.from(node.char).length !== 1) {
+                return `Pre-order bits need single-character symbols, not '${node.char}'`;
+            }
+        } else if (node.children.length !== 2) {
+            return 'Pre-order bits need a binary (arity 2) tree';
+        } else {
+            stack.push(...node.children);
+        }
+    }
+    return null;
+}
+
+// Pre-order bits: 0 for an internal node (then its 0 and 1 subtrees), 1 for
+// a leaf followed by its symbol in 8 bits (bytes) or 21 bits (code points).
+// The same layout as the tree table of a .huff file, written as text.
+function treeToPreorderBits(root, { byteSymbols = false } = {}) {
+    const blocker = preorderBitsBlocker(root);
+    if (blocker) throw new Error(blocker);
+    const width = byteSymbols ? 8 : 21;
+    const parts = [];
+    const stack = [root];
+    while (stack.length) {
+        const node = stack.pop();
+        if (node.isLeaf()) {
+            parts.push('1', node.char.codePointAt(0).toString(2).padStart(width, '0'));
+            continue;
+        }
+        parts.push('0');
+        stack.push(node.children[1], node.children[0]);
+    }
+    return parts.join('');
+}
+
+// Graphviz digraph with weights on nodes, symbols and codes on leaves and
+// code digits on edges. `label` turns a symbol into printable text.
+function treeToDot(root, { codes = new Map(), label = (s) => s } = {}) {
+    const quote = (s) => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    const lines = [
+        'digraph huffman {',
+        '    node [shape=circle, fontname="Helvetica"];',
+        '    edge [fontname="Helvetica"];'
+    ];
+    let next = 0;
+    const visit = (node) => {
+        const name = `n${next++}`;
+        if (node.isLeaf()) {
+            const code = node.placeholder ? null : codes.get(node.char);
+            lines.push(`    ${name} [shape=box, label=${quote(`${label(node.char)}\n${node.freq}${code ? `\n${code}` : ''}`)}];`);
+        } else {
+            lines.push(`    ${name} [label=${quote(node.freq)}];`);
+            node.children.forEach((child, digit) => {
+                const childName = visit(child);
+                lines.push(`    ${name} -> ${childName} [label=${quote(digit)}];`);
+            });
+        }
+        return name;
+    };
+    if (root) visit(root);
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
+
+// Newick: leaves are named by symbol, internal nodes by weight, and leaf
+// weights follow as [comments], e.g. ((a[5],b[9])14,c[12])26;
+function treeToNewick(root, { label = (s) => s } = {}) {
+    const name = (text) => (/^[^\s()[\]':;,]+$/.test(text) ? text : `'${text.replace(/'/g, "''")}'`);
+    const visit = (node) => (node.isLeaf()
+        ? `${name(label(node.char))}[${node.freq}]`
+        : `(${node.children.map(visit).join(',')})${node.freq}`);
+    return root ? `${visit(root)};\n` : ';\n';
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { treeToJSON, treeFromJSON, preorderBitsBlocker, treeToPreorderBits, treeToDot, treeToNewick };
+}
@@ -51,7 +51,11 @@
 
   function NodeGroup({ node, isHighlighted, isMerging, speedMultiplier }) {
     const { id, x, y, isLeaf, name, value, showWeights, code, colorFill } = node;
-    const label = isLeaf ? (showWeights ? `${name}(${value})` : name) : `${value}`;
+    // node.label is the printable form of the symbol (control characters, bytes)
+    const text = node.label ?? name;
+    // Fractional weights (probabilities) are rounded for display
+    const weight = typeof formatWeight === 'function' ? formatWeight(value) : `${value}`;
+    const label = isLeaf ? (showWeights ? `${text}(${weight})` : text) : weight;
 
     if (hasFM) {
       const delayUnit = Math.max(0, 0.06 / (speedMultiplier || 1));
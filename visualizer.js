@@ -4,11 +4,15 @@ class HuffmanVisualizer {
         this.huffman = new HuffmanCoding();
         this.currentTree = null;
         this.currentFreqMap = new Map();
+        this.currentText = null;
         this.prevPositions = new Map();
         this.playTimer = null; // local fallback timer
         this.initElements();
         this.setupEventListeners();
         this.setupSampleData();
+        // Open straight on the tree and step a shared link points to
+        this.restorePermalink();
+        window.addEventListener('hashchange', () => this.restorePermalink());
     }
 
     // Apply current speed multiplier to the underlying animation speed (ms per step)
@@ -32,6 +36,7 @@ class HuffmanVisualizer {
         const rounded = Math.max(0.25, Math.min(2.0, Math.round(m * 4) / 4));
         this.speedMultiplier = rounded;
         this.applySpeedMultiplier();
+        this.updatePermalink();
     }
 
     updateSpeedUI() {
@@ -46,7 +51,15 @@ class HuffmanVisualizer {
         this.manualInputs = document.getElementById('manual-inputs');
         this.addRowBtn = document.getElementById('add-row');
         this.textInput = document.getElementById('text-input');
+        this.fileInput = document.getElementById('file-input');
+        this.symbolModeSelect = document.getElementById('symbol-mode-select');
+        this.fileBytes = null; // Uint8Array of an uploaded file, used instead of the typed text
         this.sampleSelect = document.getElementById('sample-select');
+        this.tieBreakSelect = document.getElementById('tie-break-select');
+        this.maxCodeLengthInput = document.getElementById('max-code-length');
+        this.aritySelect = document.getElementById('arity-select');
+        this.buildModeSelect = document.getElementById('build-mode-select');
+        this.buildMode = 'heap'; // 'heap' | 'two-queue'
         this.buildTreeBtn = document.getElementById('build-tree');
         
         // Control elements
@@ -54,6 +67,7 @@ class HuffmanVisualizer {
         this.stepBtn = document.getElementById('step-btn');
         this.playBtn = document.getElementById('play-btn');
         this.resetBtn = document.getElementById('reset-btn');
+        this.stepSlider = document.getElementById('step-slider');
         // Speed controls (multiplier-based)
         this.speedDecreaseBtn = document.getElementById('speed-decrease');
         this.speedIncreaseBtn = document.getElementById('speed-increase');
@@ -111,6 +125,27 @@ class HuffmanVisualizer {
         this.stepBtn.addEventListener('click', () => this.step());
         this.playBtn.addEventListener('click', () => this.togglePlay());
         this.resetBtn.addEventListener('click', () => this.reset());
+
+        // Keyboard shortcuts; ? lists them
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+
+        // Timeline and steps list jump straight to a step
+        if (this.stepSlider) {
+            this.stepSlider.addEventListener('input', () => this.goToStep(Number(this.stepSlider.value) - 1));
+        }
+        const stepTicks = document.getElementById('step-ticks');
+        if (stepTicks) {
+            stepTicks.addEventListener('click', (e) => {
+                const tick = e.target.closest('[data-step]');
+                if (tick) this.goToStep(Number(tick.dataset.step));
+            });
+        }
+        if (this.stepsContainer) {
+            this.stepsContainer.addEventListener('click', (e) => {
+                const stepEl = e.target.closest('.step[data-step]');
+                if (stepEl) this.goToStep(Number(stepEl.dataset.step));
+            });
+        }
         
         // Speed controls (+/-)
         if (this.speedDecreaseBtn) {
@@ -124,8 +159,16 @@ class HuffmanVisualizer {
             });
         }
         
+        // Construction mode (binary heap or linear-time two-queue)
+        if (this.buildModeSelect) {
+            this.buildModeSelect.addEventListener('change', (e) => this.setBuildMode(e.target.value));
+        }
+
         // Show weights toggle
-        this.showWeights.addEventListener('change', () => this.updateTree());
+        this.showWeights.addEventListener('change', () => {
+            this.updateTree();
+            this.updatePermalink();
+        });
 
         // Gingham wallpaper toggle
         if (this.toggleGingham) {
@@ -153,6 +196,128 @@ class HuffmanVisualizer {
             openBtn.addEventListener('click', () => this.openCodesPage());
         }
 
+        // File upload (picker or drag-and-drop onto the drop zone)
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', (e) => {
+                if (e.target.files.length) this.loadFile(e.target.files[0]);
+            });
+        }
+        const fileDrop = document.getElementById('file-drop');
+        if (fileDrop) {
+            ['dragenter', 'dragover'].forEach(type => fileDrop.addEventListener(type, (e) => {
+                e.preventDefault();
+                fileDrop.classList.add('dragover');
+            }));
+            ['dragleave', 'drop'].forEach(type => fileDrop.addEventListener(type, () => fileDrop.classList.remove('dragover')));
+            fileDrop.addEventListener('drop', (e) => {
+                e.preventDefault();
+                if (e.dataTransfer.files.length) this.loadFile(e.dataTransfer.files[0]);
+            });
+        }
+        // Typing replaces an uploaded file
+        if (this.textInput) {
+            this.textInput.addEventListener('input', () => {
+                if (this.fileBytes) this.clearFile();
+            });
+        }
+
+        // Manual table import (paste or file) and export
+        const tableImportLoad = document.getElementById('table-import-load');
+        if (tableImportLoad) {
+            tableImportLoad.addEventListener('click', () => this.importFreqTable());
+        }
+        const tableImportFile = document.getElementById('table-import-file');
+        if (tableImportFile) {
+            tableImportFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = () => {
+                    document.getElementById('table-import-text').value = reader.result;
+                    this.importFreqTable();
+                };
+                reader.onerror = () => alert(`Could not read ${file.name}`);
+                reader.readAsText(file);
+            });
+        }
+        document.querySelectorAll('[data-table-format]').forEach(item => {
+            item.addEventListener('click', () => this.exportFreqTable(item.dataset.tableFormat));
+        });
+
+        // Exercise generator: seeded tables, worksheets and answer keys
+        const exerciseSeed = document.getElementById('exercise-seed');
+        if (exerciseSeed && !exerciseSeed.value) exerciseSeed.value = randomSeed();
+        const exerciseNewSeed = document.getElementById('exercise-new-seed');
+        if (exerciseNewSeed) {
+            exerciseNewSeed.addEventListener('click', () => {
+                exerciseSeed.value = randomSeed();
+                this.loadExercise();
+            });
+        }
+        const exerciseLoad = document.getElementById('exercise-load');
+        if (exerciseLoad) exerciseLoad.addEventListener('click', () => this.loadExercise());
+        const exerciseWorksheet = document.getElementById('exercise-worksheet');
+        if (exerciseWorksheet) exerciseWorksheet.addEventListener('click', () => this.printExercise(false));
+        const exerciseKey = document.getElementById('exercise-key');
+        if (exerciseKey) exerciseKey.addEventListener('click', () => this.printExercise(true));
+
+        // History drawer: refreshed whenever it opens
+        const historyDrawer = document.getElementById('history-drawer');
+        if (historyDrawer) {
+            historyDrawer.addEventListener('show.bs.offcanvas', () => this.renderHistory());
+            historyDrawer.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                const run = e.target.closest('.history-run');
+                if (button && run) this.handleHistoryAction(button.dataset.action, run.dataset.id);
+            });
+        }
+
+        const copyLinkBtn = document.getElementById('copy-link');
+        if (copyLinkBtn) {
+            copyLinkBtn.addEventListener('click', () => this.copyPermalink(copyLinkBtn));
+        }
+
+        // Tree text exports and reopening a saved JSON tree
+        document.querySelectorAll('[data-tree-format]').forEach(item => {
+            item.addEventListener('click', () => this.exportTreeText(item.dataset.treeFormat));
+        });
+        // Pre-order bits cannot store every tree (adaptive NYT leaves, k-ary)
+        const exportTreeMenu = document.getElementById('export-tree-menu');
+        if (exportTreeMenu) {
+            exportTreeMenu.addEventListener('show.bs.dropdown', () => this.updateTreeExportMenu());
+        }
+        // Step image exports: vector SVG, print/PDF and image sequences
+        document.querySelectorAll('[data-step-export]').forEach(item => {
+            item.addEventListener('click', () => {
+                const kind = item.dataset.stepExport;
+                if (kind === 'svg') this.exportTreeSVG();
+                else if (kind === 'print') this.printSteps();
+                else this.exportStepImages(kind);
+            });
+        });
+        const importTree = document.getElementById('import-tree');
+        if (importTree) {
+            importTree.addEventListener('change', (e) => {
+                if (e.target.files.length) this.importTree(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        // Encode/decode playground
+        const playgroundText = document.getElementById('playground-text');
+        if (playgroundText) {
+            playgroundText.addEventListener('input', () => this.updatePlaygroundEncoding());
+        }
+        const playgroundDecodeBtn = document.getElementById('playground-decode');
+        if (playgroundDecodeBtn) {
+            playgroundDecodeBtn.addEventListener('click', () => this.decodePlayground());
+        }
+        const playgroundWalkBtn = document.getElementById('playground-walk');
+        if (playgroundWalkBtn) {
+            playgroundWalkBtn.addEventListener('click', () => this.toggleDecodeWalk());
+        }
+
         // Export PNG
         if (this.exportPngBtn) {
             this.exportPngBtn.addEventListener('click', () => this.exportTreePNG());
@@ -173,6 +338,10 @@ class HuffmanVisualizer {
         if (this.toggleEncodingBtn) {
             this.toggleEncodingBtn.addEventListener('click', () => this.toggleEncoding());
         }
+        const compareCodersBtn = document.getElementById('compare-coders');
+        if (compareCodersBtn) {
+            compareCodersBtn.addEventListener('click', () => this.openCoderComparison());
+        }
 
         // Switch to Tree & Steps removed; Build now handles navigation
 
@@ -180,6 +349,10 @@ class HuffmanVisualizer {
         const toInputBtn = document.getElementById('switch-to-input');
         if (toInputBtn) {
             toInputBtn.addEventListener('click', () => {
+                if (this.huffman.isPlaying) this.togglePlay();
+                if (this.decodeWalk) this.stopDecodeWalk();
+                // The inputs stay as they were; only the link to the tree is dropped
+                history.replaceState(null, '', location.pathname + location.search);
                 this.showInputSection();
                 this.hideTreeSection();
                 this.hideCodesSection();
@@ -191,15 +364,45 @@ class HuffmanVisualizer {
                 }
             });
         }
+
+        // Practice mode: nodes are picked on the tree or in the queue panel
+        const practiceToggle = document.getElementById('practice-mode');
+        if (practiceToggle) {
+            practiceToggle.addEventListener('change', () => this.setPracticeMode(practiceToggle.checked));
+        }
+        const treeSvgEl = document.getElementById('tree-svg');
+        if (treeSvgEl) {
+            treeSvgEl.addEventListener('click', (e) => {
+                const node = e.target.closest('g.node[data-id]');
+                if (node && this.quiz) this.pickQuizNode(node.getAttribute('data-id'));
+            });
+        }
+        const pqPanelEl = document.getElementById('pq-panel');
+        if (pqPanelEl) {
+            pqPanelEl.addEventListener('click', (e) => {
+                const item = e.target.closest('.pq-item[data-id]');
+                if (item && this.quiz) this.pickQuizNode(item.getAttribute('data-id'));
+            });
+        }
+        const quizPanel = document.getElementById('quiz-panel');
+        if (quizPanel) {
+            quizPanel.addEventListener('click', (e) => {
+                if (e.target.closest('[data-quiz-action="check-codes"]')) this.checkQuizCodes();
+            });
+            quizPanel.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && e.target.matches('input[data-quiz-code]')) this.checkQuizCodes();
+            });
+        }
     }
 
-    // Add a new input row to the manual input section
+    // Add a new input row to the manual input section. Whitespace and control
+    // symbols are shown in their written form (space, \n, \u00a0, ...).
     addInputRow(character = '', frequency = '') {
         const row = document.createElement('div');
         row.className = 'input-group mb-2';
         row.innerHTML = `
-            <input type="text" class="form-control char-input" placeholder="character" maxlength="1" value="${character}">
-            <input type="number" class="form-control freq-input" placeholder="frequency" min="1" value="${frequency}">
+            <input type="text" class="form-control char-input" placeholder="character" maxlength="10" title="one character, space, or an escape such as \\n, \\t, \\u00a0" value="${escapeHtml(character ? formatSymbol(character) : '')}">
+            <input type="number" class="form-control freq-input" placeholder="frequency" min="0" step="any" value="${escapeHtml(frequency)}">
             <button class="btn btn-outline-danger remove-btn" type="button">×</button>
         `;
         
@@ -214,44 +417,74 @@ class HuffmanVisualizer {
         this.manualInputs.appendChild(row);
     }
 
-    // Set up sample data
+    // Frequency map from the manual rows. Errors name the row and mark it.
+    readManualTable() {
+        const freqMap = new Map();
+        const seen = new Map();
+        const rows = this.manualInputs.querySelectorAll('.input-group');
+        rows.forEach(row => row.querySelectorAll('.is-invalid').forEach(el => el.classList.remove('is-invalid')));
+        rows.forEach((row, index) => {
+            const charInput = row.querySelector('.char-input');
+            const freqInput = row.querySelector('.freq-input');
+            const rawChar = charInput.value.trim() === '' ? charInput.value : charInput.value.trim();
+            const rawFreq = freqInput.value.trim();
+            if (!rawChar && !rawFreq) return;
+            const fail = (input, message) => {
+                input.classList.add('is-invalid');
+                const error = new Error(`row ${index + 1}: ${message}`);
+                error.input = input;
+                throw error;
+            };
+            let char;
+            try {
+                char = parseSymbol(rawChar);
+            } catch (e) {
+                fail(charInput, e.message);
+            }
+            try {
+                freqMap.set(char, parseWeight(rawFreq));
+            } catch (e) {
+                fail(freqInput, e.message);
+            }
+            if (seen.has(char)) {
+                fail(charInput, `duplicate character '${formatSymbol(char)}' (also row ${seen.get(char)})`);
+            }
+            seen.set(char, index + 1);
+        });
+        return freqMap;
+    }
+
+    // Fill the sample menu from the catalogue in sample-data.js
     setupSampleData() {
-        const samples = {
-            sample1: [
-                { char: 'A', freq: 5 },
-                { char: 'B', freq: 9 },
-                { char: 'C', freq: 12 },
-                { char: 'D', freq: 13 },
-                { char: 'E', freq: 16 },
-                { char: 'F', freq: 45 }
-            ],
-            sample2: [
-                { char: 'A', freq: 8 },
-                { char: 'E', freq: 12 },
-                { char: 'I', freq: 7 },
-                { char: 'O', freq: 7 },
-                { char: 'U', freq: 3 }
-            ],
-            sample3: [
-                { char: '0', freq: 1 },
-                { char: '1', freq: 3 },
-                { char: '2', freq: 4 },
-                { char: '3', freq: 2 }
-            ]
-        };
+        SAMPLE_DATASETS.forEach(sample => {
+            const option = document.createElement('option');
+            option.value = sample.id;
+            option.textContent = sample.name;
+            this.sampleSelect.appendChild(option);
+        });
+        const description = document.getElementById('sample-description');
+
+        // Editing the rows turns a loaded sample into manual input
+        this.loadedSample = null;
+        this.manualInputs.addEventListener('input', () => { this.loadedSample = null; });
 
         this.sampleSelect.addEventListener('change', (e) => {
-            const sample = samples[e.target.value];
+            const sample = findSample(e.target.value);
             if (!sample) return;
-            
-            // Clear existing inputs
+            if (description) description.textContent = sample.description;
+
+            if (sample.text) {
+                // Text samples are analysed like typed text
+                if (this.fileBytes) this.clearFile();
+                this.textInput.value = sample.text;
+                this.loadedSample = null;
+                document.querySelector('#text-tab').click();
+                return;
+            }
             this.manualInputs.innerHTML = '';
-            
-            // Add sample data rows
-            sample.forEach(item => {
-                this.addInputRow(item.char, item.freq);
-            });
-            
+            sample.table.forEach(([char, freq]) => this.addInputRow(char, freq));
+            this.loadedSample = sample.id;
+
             // Switch to manual tab
             document.querySelector('#manual-tab').click();
         });
@@ -260,6 +493,7 @@ class HuffmanVisualizer {
     // Build the Huffman tree based on input
     async buildTree() {
         let freqMap = new Map();
+        let sourceText = null;
         // Immediately navigate to the tree page so the user sees the visualizer
         this.hideInputSection();
         this.showTreeSection();
@@ -273,105 +507,208 @@ class HuffmanVisualizer {
         try {
             if (activeTab === 'manual' || activeTab === 'sample') {
                 // Get data from manual inputs
-                const rows = this.manualInputs.querySelectorAll('.input-group');
-                
-                rows.forEach(row => {
-                    const charInput = row.querySelector('.char-input');
-                    const freqInput = row.querySelector('.freq-input');
-                    
-                    const char = charInput.value.trim();
-                    const freq = parseInt(freqInput.value);
-                    
-                    if (char && !isNaN(freq) && freq > 0) {
-                        if (freqMap.has(char)) {
-                            throw new Error(`Duplicate character: ${char}`);
-                        }
-                        freqMap.set(char, freq);
-                    } else if (char || freq) {
-                        throw new Error('Please enter valid character and frequency');
-                    }
-                });
+                freqMap = this.readManualTable();
+                const normalize = document.getElementById('normalize-weights');
+                if (normalize && normalize.checked) freqMap = normalizeWeights(freqMap);
                 
                 if (freqMap.size < 2) {
                     throw new Error('Please enter at least 2 valid characters with frequencies');
                 }
             } 
             else if (activeTab === 'text') {
-                // Analyze text input
-                const text = this.textInput.value.trim();
-                if (!text) {
-                    throw new Error('Please enter some text to analyze');
-                }
+                // Analyze the uploaded file or the typed text, as bytes or code points
+                const text = this.readSourceSymbols();
                 freqMap = this.huffman.buildFrequencyMap(text);
+                sourceText = text;
                 
                 if (freqMap.size < 2) {
-                    throw new Error('Text must contain at least 2 different characters');
+                    throw new Error(`${this.fileBytes ? 'File' : 'Text'} must contain at least 2 different ${this.huffman.byteSymbols ? 'bytes' : 'characters'}`);
                 }
             }
             
+            if (activeTab !== 'text') this.huffman.byteSymbols = false;
+
+            // Remembered for shareable links
+            this.inputMode = activeTab === 'text' ? 'text' : (this.loadedSample || 'manual');
+
             // Save frequency map and build the tree
             this.currentFreqMap = new Map(freqMap);
-            await this.huffman.buildTree(freqMap);
-            // Use FINAL tree root to compute codes reliably
-            const lastStep = Array.isArray(this.huffman.steps) && this.huffman.steps.length
-                ? this.huffman.steps[this.huffman.steps.length - 1]
-                : null;
-            const finalRoot = lastStep?.nodes?.[0] || null;
-            this.currentTree = finalRoot;
-            if (finalRoot) {
-                this.huffman.generateCodes(finalRoot);
-            }
-            // Absolute fallback: if codes are still empty, compute them directly from the frequency map
-            if (!this.huffman.codes || this.huffman.codes.size === 0) {
-                const buildCodesFromFreqLocal = (pairs) => {
-                    if (!pairs || !pairs.length) return new Map();
-                    let nodes = pairs.map(([ch, freq]) => ({ ch, freq: Number(freq), left: null, right: null }));
-                    if (nodes.length === 1) {
-                        const only = nodes[0];
-                        const m = new Map();
-                        m.set(only.ch, '0');
-                        return m;
-                    }
-                    while (nodes.length > 1) {
-                        nodes.sort((a, b) => a.freq - b.freq || String(a.ch || '').localeCompare(String(b.ch || '')));
-                        const a = nodes.shift();
-                        const b = nodes.shift();
-                        nodes.push({ ch: null, freq: a.freq + b.freq, left: a, right: b });
-                    }
-                    const root = nodes[0];
-                    const codes = new Map();
-                    (function dfs(n, pref) {
-                        if (!n) return;
-                        if (!n.left && !n.right) { codes.set(n.ch, pref || '0'); return; }
-                        dfs(n.left, pref + '0');
-                        dfs(n.right, pref + '1');
-                    })(root, '');
-                    return codes;
-                };
-                const pairs = Array.from(this.currentFreqMap.entries());
-                const fallback = buildCodesFromFreqLocal(pairs);
-                if (fallback && fallback.size) {
-                    this.huffman.codes = fallback;
-                }
-            }
-            
-            // Update UI
-            this.updateControls(true);
-            this.updateTree();
-            // Render codes and table ONCE at the beginning and keep static thereafter
-            this.updateHuffmanCodes();
-            this.updateCodesTable();
-            this.initialCodesRendered = true;
-            this.updateSteps();
-            
-            // Show success message
-            this.buildTreeBtn.textContent = 'tree built successfully!';
-            this.buildTreeBtn.className = 'btn btn-success mt-3 w-100';
+            this.currentText = sourceText;
+            // A mode left on adaptive cannot replay a frequency table
+            this.buildMode = buildModeFor(this.buildMode, sourceText);
+            if (this.buildModeSelect) this.buildModeSelect.value = this.buildMode;
+            this.constructTree();
+            this.renderBuiltTree();
+            this.recordRun();
             
         } catch (error) {
             alert(error.message);
             console.error(error);
+            // Take the user back to the row at fault
+            if (error.input) {
+                this.showInputSection();
+                this.hideCodesSection();
+                error.input.focus();
+            }
+        }
+    }
+
+    // Show a freshly built (or loaded) tree: controls, first step, codes
+    renderBuiltTree() {
+        // Update UI
+        this.updateControls(true);
+        this.updateMergeOrderComparison();
+        this.updateTree();
+        // Render codes and table ONCE at the beginning and keep static thereafter
+        this.updateHuffmanCodes();
+        this.updateCodesTable();
+        this.initialCodesRendered = true;
+        this.updateSteps();
+        this.updatePlaygroundEncoding();
+        if (this.quiz) this.setPracticeMode(true);
+        
+        // Show success message
+        this.buildTreeBtn.textContent = 'tree built successfully!';
+        this.buildTreeBtn.className = 'btn btn-success mt-3 w-100';
+    }
+
+    // Run the selected construction method (heap or two-queue) with the chosen
+    // tie-break rule on the current frequency map, then derive the codes
+    constructTree() {
+        if (this.decodeWalk) this.stopDecodeWalk();
+        if (this.tieBreakSelect) {
+            this.huffman.setTieBreak(this.tieBreakSelect.value);
+        }
+        if (this.aritySelect) {
+            // FGK and Shannon-Fano are binary algorithms
+            const binaryOnly = this.buildMode === 'adaptive' || this.buildMode === 'shannon-fano';
+            this.huffman.setArity(binaryOnly ? 2 : parseInt(this.aritySelect.value, 10));
+        }
+        if (this.maxCodeLengthInput) {
+            const limit = parseInt(this.maxCodeLengthInput.value, 10);
+            this.huffman.setMaxCodeLength(Number.isNaN(limit) ? null : limit);
+        }
+        // Use the returned root so codes (and decoding) match the drawn tree
+        if (this.buildMode === 'adaptive') {
+            // FGK codes change per symbol; the table shows the final tree's codes
+            this.currentTree = this.huffman.buildAdaptiveTree(this.currentText);
+            this.huffman.generateCodes(this.currentTree);
+            this.huffman.unlimitedCodes = new Map();
+            this.huffman.generateCanonicalCodes();
+            return;
+        }
+        if (this.buildMode === 'shannon-fano') {
+            this.currentTree = this.huffman.buildShannonFano(this.currentFreqMap);
+            if (this.currentTree) this.huffman.generateCodes(this.currentTree);
+            this.huffman.unlimitedCodes = new Map();
+            this.huffman.generateCanonicalCodes();
+            return;
+        }
+        const finalRoot = this.buildMode === 'two-queue'
+            ? this.huffman.buildTreeTwoQueue(this.currentFreqMap)
+            : this.huffman.buildTree(this.currentFreqMap);
+        this.currentTree = finalRoot || null;
+        if (finalRoot) {
+            this.huffman.generateCodes(finalRoot);
+            // Too-deep trees are replaced by the package-merge code tree
+            const limitedRoot = this.huffman.enforceMaxCodeLength(this.currentFreqMap);
+            if (limitedRoot) this.currentTree = limitedRoot;
+        }
+        this.huffman.generateCanonicalCodes();
+    }
+
+    // Switch between heap and two-queue construction, staying on the same step
+    setBuildMode(mode) {
+        if (mode === 'adaptive' && !this.currentText) {
+            alert('Adaptive mode reads the text from the text analysis tab; build from text first');
+            if (this.buildModeSelect) this.buildModeSelect.value = this.buildMode;
+            return;
+        }
+        // Step numbers only line up between the two bottom-up builders
+        const bottomUp = ['heap', 'two-queue'];
+        const keepStep = bottomUp.includes(mode) && bottomUp.includes(this.buildMode);
+        const previousMode = this.buildMode;
+        this.buildMode = mode;
+        if (!this.currentFreqMap.size) return;
+        const previousStep = this.huffman.currentStep;
+        let stepIndex = keepStep ? previousStep : 0;
+        if (this.huffman.isPlaying) this.togglePlay();
+        try {
+            this.constructTree();
+        } catch (error) {
+            alert(error.message);
+            console.error(error);
+            // Go back to the previous mode and rebuild what was shown
+            this.buildMode = previousMode;
+            if (this.buildModeSelect) this.buildModeSelect.value = previousMode;
+            this.constructTree();
+            stepIndex = previousStep;
+        }
+        this.huffman.goToStep(stepIndex);
+        this.updateTree();
+        this.updateSteps();
+        this.updateControls(true);
+        this.updateCodesTable();
+        this.updateMergeOrderComparison();
+        this.updatePlaygroundEncoding();
+        // Practice mode starts over on the new construction (or ends if it has no merges to ask)
+        if (this.quiz) this.setPracticeMode(true);
+    }
+
+    // Tell the user whether the other construction mode merges in the same order
+    updateMergeOrderComparison() {
+        const box = document.getElementById('merge-order-compare');
+        if (!box || !this.currentFreqMap.size) return;
+        if (this.buildMode === 'adaptive') {
+            box.textContent = 'adaptive mode: the tree is updated as each symbol arrives';
+            return;
         }
+        if (this.buildMode === 'shannon-fano') {
+            box.textContent = 'shannon-fano splits top-down, so its codes can cost more than huffman (see compare coders)';
+            return;
+        }
+        const other = new HuffmanCoding();
+        other.setTieBreak(this.huffman.tieBreak);
+        const otherMode = this.buildMode === 'two-queue' ? 'heap' : 'two-queue';
+        if (otherMode === 'two-queue') {
+            other.buildTreeTwoQueue(this.currentFreqMap);
+        } else {
+            other.buildTree(this.currentFreqMap);
+        }
+        // A merge is the set of groups it joins: a leaf is its symbol, an
+        // internal node the number of the merge that made it (node ids and
+        // step text differ between builds, and every subtree reads 'internal')
+        const merges = (steps) => {
+            const mergeSteps = steps.filter(st => !st.lengthLimit && st.highlightNodes.length >= 2);
+            if (!mergeSteps.length) return [];
+            // Walk the finished tree once for each node and its parent
+            const byId = new Map();
+            const parentOf = new Map();
+            const stack = [mergeSteps[mergeSteps.length - 1].nodes[0]];
+            while (stack.length) {
+                const node = stack.pop();
+                byId.set(node.id, node);
+                node.children.forEach(child => {
+                    parentOf.set(child.id, node);
+                    stack.push(child);
+                });
+            }
+            const keys = new Map();
+            return mergeSteps.map((st, i) => {
+                keys.set(parentOf.get(st.highlightNodes[0]).id, `#${i}`);
+                return st.highlightNodes
+                    .map(id => keys.get(id) || JSON.stringify(byId.get(id).char))
+                    .sort()
+                    .join('|');
+            });
+        };
+        const mine = merges(this.huffman.steps);
+        const theirs = merges(other.steps);
+        const firstDiff = mine.findIndex((d, i) => d !== theirs[i]);
+        const otherLabel = otherMode === 'two-queue' ? 'two-queue' : 'heap';
+        box.textContent = firstDiff === -1
+            ? `same merge order as ${otherLabel} mode`
+            : `merge order differs from ${otherLabel} mode at merge ${firstDiff + 1}`;
     }
 
     // Update control buttons state
@@ -382,12 +719,18 @@ class HuffmanVisualizer {
         this.playBtn.disabled = !enable;
         this.resetBtn.disabled = !enable;
         this.buildTreeBtn.disabled = enable;
+        if (this.stepSlider) this.stepSlider.disabled = !enable;
+        // Practice mode moves one answered question at a time
+        if (this.quiz) this.playBtn.disabled = true;
     }
     
     // Step back to previous state
     stepBack() {
-        if (this.huffman.currentStep > 0) {
-            this.huffman.currentStep--;
+        if (this.decodeWalk) {
+            this.stepDecodeWalk(-1);
+            return;
+        }
+        if (this.huffman.goToStep(this.huffman.currentStep - 1)) {
             this.updateTree();
             this.updateSteps();
             this.updateControls(true);
@@ -401,13 +744,9 @@ class HuffmanVisualizer {
         }
     }
 
-    // Update the tree visualization (render via React + Framer Motion)
-    updateTree() {
-        const step = this.huffman.getCurrentStep();
-        if (!step || !step.nodes) return;
-
-        const container = document.getElementById('tree-container');
-        const width = container.clientWidth || 900;
+    // Lay out one step's forest with D3 (no DOM changes): node positions,
+    // link paths and edge labels, plus the width the tree needs
+    computeTreeLayout(step, width, isFinal) {
         const height = 650; // Fixed height to show everything at once
 
         const margin = { top: 10, right: 80, bottom: 60, left: 80 };
@@ -417,7 +756,7 @@ class HuffmanVisualizer {
         // Support initial step (forest of nodes). If multiple nodes, create a virtual root
         const hasForest = Array.isArray(step.nodes) && step.nodes.length > 1;
         const primaryRoot = step.nodes[0];
-        if (!primaryRoot) return;
+        if (!primaryRoot) return null;
 
         // Layout with D3 (no DOM mutations)
         const treeLayout = d3.tree().size([innerW, innerH]);
@@ -433,6 +772,7 @@ class HuffmanVisualizer {
         treeLayout(treeData);
 
         // Center horizontally and shift down vertically
+        let requiredWidth = width;
         const desc = treeData.descendants();
         if (desc.length > 0) {
             const xExtent = d3.extent(desc, d => d.x);
@@ -445,16 +785,16 @@ class HuffmanVisualizer {
             });
             // Compute required content width (span of nodes + margins)
             const span = (xExtent[1] - xExtent[0]) || innerW;
-            this._requiredTreeWidth = Math.ceil(span + margin.left + margin.right + 20);
+            requiredWidth = Math.ceil(span + margin.left + margin.right + 20);
         }
 
         // Build data for renderer
         const showWeights = this.showWeights.checked;
-        const isFinal = this.huffman.currentStep === this.huffman.steps.length - 1;
 
         // Prepare code map if final
         let codeMap = new Map();
-        if (isFinal) {
+        // Practice mode keeps the codes hidden until they have been asked
+        if (isFinal && !(this.quiz && !this.quiz.codeResults)) {
             if (this.huffman.codes.size === 0 && this.currentTree) {
                 this.huffman.generateCodes(this.currentTree);
             }
@@ -470,6 +810,7 @@ class HuffmanVisualizer {
             depth: d.depth || 0,
             isLeaf: d.data.isLeaf,
             name: d.data.name,
+            label: this.huffman.symbolLabel(d.data.name),
             value: d.data.value !== undefined ? d.data.value : (d.data.freq !== undefined ? d.data.freq : 0),
             showWeights,
             code: (isFinal && d.data.isLeaf && d.data.name) ? (codeMap.get(d.data.name) || '') : '',
@@ -492,6 +833,22 @@ class HuffmanVisualizer {
             return { id, d, sx, sy, ex, ey, label, mx, my, depth: (l.target.depth || 0) };
         });
 
+        return { width, height, margin, innerW, innerH, requiredWidth, nodes, links };
+    }
+
+    // Update the tree visualization (render via React + Framer Motion)
+    updateTree() {
+        const step = this.huffman.getCurrentStep();
+        if (!step || !step.nodes) return;
+
+        const container = document.getElementById('tree-container');
+        const width = container.clientWidth || 900;
+        const isFinal = this.huffman.currentStep === this.huffman.steps.length - 1;
+        const layout = this.computeTreeLayout(step, width, isFinal);
+        if (!layout) return;
+        const { height, margin, innerW, innerH, nodes, links } = layout;
+        this._requiredTreeWidth = layout.requiredWidth;
+
         const highlightIds = step.highlightNodes || [];
         const mergingIds = (highlightIds && highlightIds.length >= 2) ? highlightIds : [];
 
@@ -511,7 +868,9 @@ class HuffmanVisualizer {
         // Force animation by clearing any existing transitions
         this.treeSvg.interrupt();
         const svgWidth = Math.max(width, this._requiredTreeWidth || width);
-        const svg = this.treeSvg.attr('width', svgWidth).attr('height', height);
+        const svg = this.treeSvg.attr('width', svgWidth).attr('height', height)
+            .attr('role', 'group')
+            .attr('aria-label', `huffman tree, step ${this.huffman.currentStep + 1} of ${this.huffman.steps.length}`);
         let g = svg.select('g.canvas');
         if (g.empty()) {
             svg.selectAll('*').remove();
@@ -543,9 +902,8 @@ class HuffmanVisualizer {
         const linkEnter = linkSel.enter()
             .append('path')
             .attr('class', 'link')
-            .style('opacity', 0)
-            .style('stroke', '#9db584')
-            .style('stroke-width', '2.5px');
+            .attr('data-id', d => d.id)
+            .style('opacity', 0);
 
         // Initialize link at collapsed state at the child position
         linkEnter.each(function(d) {
@@ -689,6 +1047,7 @@ class HuffmanVisualizer {
         const nodeEnter = nodeSel.enter()
             .append('g')
             .attr('class', d => `node ${d.isLeaf ? 'leaf' : 'internal'}`)
+            .attr('data-id', d => d.id)
             .style('opacity', 0)
             .attr('transform', d => {
                 // Find parent node or start from center
@@ -713,9 +1072,7 @@ class HuffmanVisualizer {
         nodeEnter.append('circle')
             .attr('r', 0)  // Start at 0 for animation
             .attr('class', d => !d.isLeaf ? 'merged' : null)
-            .style('fill', d => (!d.isLeaf ? '#a8c090' : null))
-            .style('stroke', d => (!d.isLeaf ? '#8b7355' : '#7a5f3f'))
-            .style('stroke-width', 2);
+            .style('fill', d => (!d.isLeaf ? '#a8c090' : null));
 
         // Add text to new nodes
         const textEnter = nodeEnter.append('text')
@@ -729,6 +1086,16 @@ class HuffmanVisualizer {
 
         // Update all nodes with smooth animation
         const nodesMerged = nodeEnter.merge(nodeSel);
+
+        // Keyboard access: every node is a tab stop, in reading order (top to
+        // bottom, left to right), and announces its symbol, weight and code
+        nodesMerged
+            .attr('tabindex', 0)
+            .attr('role', 'img')
+            .attr('aria-label', d => (d.isLeaf
+                ? `symbol ${d.label}, weight ${formatWeight(d.value)}${d.code ? `, code ${d.code}` : ''}`
+                : `internal node, weight ${formatWeight(d.value)}`))
+            .sort((a, b) => a.y - b.y || a.x - b.x);
         
         // Animate position changes - nodes move smoothly from previous to new position
         nodesMerged
@@ -775,8 +1142,6 @@ class HuffmanVisualizer {
                     .attr('r', 0)
                     .attr('class', d.isLeaf ? null : 'merged')
                     .style('fill', d.isLeaf ? null : '#a8c090')
-                    .style('stroke', d.isLeaf ? '#7a5f3f' : '#8b7355')
-                    .style('stroke-width', 2)
                     .transition()
                     .duration(animationDuration)
                     .ease(d3.easeElasticOut)
@@ -795,9 +1160,9 @@ class HuffmanVisualizer {
         nodesMerged.select('text')
             .text(d => {
                 if (d.isLeaf) {
-                    return d.showWeights ? `${d.name} (${d.value})` : d.name;
+                    return d.showWeights ? `${d.label} (${formatWeight(d.value)})` : d.label;
                 }
-                return String(d.value);
+                return formatWeight(d.value);
             })
             .transition()
             .duration(animationDuration)
@@ -814,7 +1179,7 @@ class HuffmanVisualizer {
                 .transition()
                 .duration(animationDuration * 0.3)
                 .attr('r', 25)
-                .style('stroke-width', 2);
+                .style('stroke-width', null);
         }
 
         // Show code labels on final step with fade-in
@@ -850,17 +1215,19 @@ class HuffmanVisualizer {
         const name = pick(node.name, node.char, callIf(node, 'getName'), '');
         const value = pick(node.value, node.freq, node.weight, callIf(node, 'getValue'), 0);
 
-        // Children may be on properties or via methods
+        // Children may be an ordered list (n-ary), properties or methods; the
+        // edge label is the child's index, i.e. its code digit
         const leftChild = pick(node.left, callIf(node, 'getLeft'));
         const rightChild = pick(node.right, callIf(node, 'getRight'));
-        const isLeaf = pick((typeof node.isLeaf === 'function' ? node.isLeaf() : node.isLeaf), (!leftChild && !rightChild));
+        const kids = Array.isArray(node.children) ? node.children : [leftChild, rightChild];
+        const hasKids = kids.some(Boolean);
+        const isLeaf = pick((typeof node.isLeaf === 'function' ? node.isLeaf() : node.isLeaf), !hasKids);
 
         const d3Node = { id, name, value, isLeaf, edgeLabel };
-        if (leftChild || rightChild) {
-            d3Node.children = [
-                this.convertToD3Hierarchy(leftChild, '0'),
-                this.convertToD3Hierarchy(rightChild, '1')
-            ].filter(Boolean);
+        if (hasKids) {
+            d3Node.children = kids
+                .map((child, digit) => this.convertToD3Hierarchy(child, String(digit)))
+                .filter(Boolean);
         }
         return d3Node;
     }
@@ -906,7 +1273,7 @@ class HuffmanVisualizer {
             const codeItem = document.createElement('div');
             codeItem.className = 'code-item';
             codeItem.innerHTML = `
-                <span class="char">${char === ' ' ? '␣' : char}</span>
+                <span class="char">${escapeHtml(this.huffman.symbolLabel(char))}</span>
                 <span>${code}</span>
             `;
             this.huffmanCodes.appendChild(codeItem);
@@ -920,31 +1287,45 @@ class HuffmanVisualizer {
         const entries = Array.from(this.currentFreqMap.entries())
             .sort((a, b) => a[0].localeCompare(b[0]));
         let totalBits = 0;
-        let totalCount = 0;
+        const totalCount = addWeights(...entries.map(([, freq]) => Number(freq || 0)));
+        // Probabilities and decimal weights have no total size, only an
+        // expected length per symbol
+        const fractional = this.weightsAreFractional();
         
-        // Calculate fixed length code size (bits needed to represent all unique characters)
+        // Calculate fixed length code size: ⌈log_k n⌉ digits for n unique characters
+        const k = this.huffman.arity || 2;
         const uniqueChars = entries.length;
-        const fixedCodeLength = uniqueChars > 1 ? Math.ceil(Math.log2(uniqueChars)) : 1;
+        let fixedCodeLength = 1;
+        while (k ** fixedCodeLength < uniqueChars) fixedCodeLength++;
         
         entries.forEach(([char, freq]) => {
             const freqNum = Number(freq || 0);
-            totalCount += freqNum;
             
-            let code, bits;
+            let code, bits, canonical = '–';
             if (this.showFixedLength) {
                 // Fixed length encoding
                 const charIndex = entries.findIndex(([c]) => c === char);
-                code = charIndex.toString(2).padStart(fixedCodeLength, '0');
+                code = charIndex.toString(k).padStart(fixedCodeLength, '0');
                 bits = fixedCodeLength * freqNum;
             } else {
                 // Variable length (Huffman) encoding
                 code = this.huffman.codes.get(char) || '';
+                canonical = this.huffman.canonicalCodes.get(char) || '';
                 bits = code.length * freqNum;
             }
             
             totalBits += bits;
-            const safeChar = char === ' ' ? '␣' : char;
-            rows.push(`<tr><td>${safeChar}</td><td>${freq}</td><td><code>${code}</code></td><td>${bits}</td></tr>`);
+            const safeChar = escapeHtml(this.huffman.symbolLabel(char));
+            // Fractional weights: this symbol's share of the expected length
+            const perSymbol = (b) => (fractional ? (b / totalCount).toFixed(3) : String(b));
+            // With a length limit, show the change against the unlimited tree's code
+            let bitsCell = perSymbol(bits);
+            const unlimited = this.huffman.unlimitedCodes.get(char);
+            if (!this.showFixedLength && unlimited !== undefined && unlimited.length !== code.length) {
+                const delta = (code.length - unlimited.length) * freqNum;
+                bitsCell += ` <small>(${delta > 0 ? '+' : ''}${perSymbol(delta)})</small>`;
+            }
+            rows.push(`<tr><td>${safeChar}</td><td>${formatWeight(freq)}</td><td><code>${code}</code></td><td><code>${canonical}</code></td><td>${bitsCell}</td></tr>`);
         });
         this.codesTableBody.innerHTML = rows.join('');
 
@@ -954,18 +1335,74 @@ class HuffmanVisualizer {
         const savEl = document.getElementById('codes-metrics-savings');
         const codeHeader = document.getElementById('code-header');
         const originalBits = totalCount * 8;
-        const savingsPct = originalBits > 0 ? Math.max(0, (1 - (totalBits / originalBits)) * 100) : 0;
+        // k-ary codes count digits; compare with ASCII via log2(k) bits per digit
+        const equivalentBits = totalBits * Math.log2(k);
+        const savingsPct = savingsPercent(totalBits, totalCount, k);
         
-        if (estEl) estEl.textContent = String(totalBits);
-        if (origEl) origEl.textContent = String(originalBits);
+        const unitText = fractional ? 'bits per symbol (expected)' : 'bits';
+        ['codes-metrics-orig-unit', 'codes-metrics-est-unit'].forEach(id => {
+            const unitEl = document.getElementById(id);
+            if (unitEl) unitEl.textContent = unitText;
+        });
+        const freqHeader = document.getElementById('freq-header');
+        if (freqHeader) freqHeader.textContent = fractional ? 'weight' : 'frequency';
+        const bitsHeader = document.getElementById('bits-header');
+        if (fractional) {
+            const avg = totalCount > 0 ? totalBits / totalCount : 0;
+            if (estEl) estEl.textContent = k === 2 ? avg.toFixed(3) : `${avg.toFixed(3)} base-${k} digits ≈ ${(avg * Math.log2(k)).toFixed(3)}`;
+            if (bitsHeader) bitsHeader.textContent = k === 2 ? 'expected bits' : 'expected digits';
+            if (origEl) origEl.textContent = '8';
+        } else {
+            if (estEl) estEl.textContent = k === 2 ? String(totalBits) : `${totalBits} base-${k} digits ≈ ${equivalentBits.toFixed(1)}`;
+            if (bitsHeader) bitsHeader.textContent = k === 2 ? 'total bits' : 'total digits';
+            if (origEl) origEl.textContent = String(originalBits);
+        }
         if (savEl) savEl.textContent = `${savingsPct.toFixed(1)}%`;
         if (codeHeader) codeHeader.textContent = this.showFixedLength ? 'fixed code' : 'variable code';
+
+        // Cost of the code length limit compared with the unlimited tree
+        const limitEl = document.getElementById('codes-metrics-limit');
+        if (limitEl) {
+            const limited = !this.showFixedLength && this.huffman.unlimitedCodes.size > 0;
+            limitEl.classList.toggle('section-hidden', !limited);
+            if (limited) {
+                const cost = this.huffman.lengthLimitCost;
+                limitEl.innerHTML = fractional
+                    ? `Length limit ${this.huffman.maxCodeLength} bits: <span style="font-weight:800;">+${(cost / totalCount).toFixed(3)}</span> bits per symbol vs unlimited tree`
+                    : `Length limit ${this.huffman.maxCodeLength} bits: <span style="font-weight:800;">+${cost}</span> bits vs unlimited tree`;
+            }
+        }
+
+        // Real encoded output for analysed text, verified by a round trip
+        const actualEl = document.getElementById('codes-metrics-actual');
+        if (actualEl) {
+            actualEl.textContent = '–';
+            if (this.buildMode === 'adaptive') {
+                // Adaptive output is the FGK stream, not the final tree's static codes
+                const last = this.huffman.steps.findLast(st => st.adaptive);
+                const bits = last ? last.adaptive.totalBits : 0;
+                actualEl.textContent = `${bits} bits / ${Math.ceil(bits / 8)} bytes (adaptive stream)`;
+            } else if (this.currentText && this.currentTree && !this.showFixedLength && k === 2) {
+                try {
+                    const packed = this.huffman.encode(this.currentText);
+                    const decoded = this.huffman.decode(packed, this.currentTree);
+                    const dataBits = (packed.length - 1) * 8 - packed[packed.length - 1];
+                    const status = decoded === this.currentText ? 'round-trip ok' : 'round-trip mismatch';
+                    actualEl.textContent = `${dataBits} bits / ${packed.length} bytes (${status})`;
+                } catch (e) {
+                    console.error(e);
+                    actualEl.textContent = `error: ${e.message}`;
+                }
+            }
+        }
         
         // Update encoding type label
         const encodingTypeLabel = document.getElementById('encoding-type-label');
         if (encodingTypeLabel) {
             encodingTypeLabel.textContent = this.showFixedLength ? 'Fixed Huffman' : 'Variable Huffman';
         }
+
+        this.updateCodeStats();
     }
 
     // Update the steps list and keep current step in view
@@ -985,65 +1422,28 @@ class HuffmanVisualizer {
         this.huffman.steps.forEach((step, index) => {
             const stepEl = document.createElement('div');
             stepEl.className = `step ${index === currentStep ? 'highlight' : ''}`;
-            const desc = toLowerExceptQuotes(step.description);
+            stepEl.dataset.step = index;
+            // Practice mode would give the answers away in later descriptions
+            const desc = this.quiz && index > currentStep ? '?' : toLowerExceptQuotes(step.description);
             stepEl.textContent = `${index + 1}. ${desc}`;
             this.stepsContainer.appendChild(stepEl);
         });
+        this.updatePermalink();
+        this.updateTimeline();
+
+        // Nodes merged in the current step: children of the new node (first in the forest)
+        const stepNow = this.huffman.steps[currentStep];
+        const mergedNodes = (stepNow && !stepNow.adaptive && !stepNow.split && stepNow.highlightNodes.length >= 2 && stepNow.nodes?.[0])
+            ? stepNow.nodes[0].children.filter(Boolean)
+            : [];
+        const fmtNode = (n) => `${n.char === null ? 'internal' : escapeHtml(this.huffman.symbolLabel(n.char))}(${formatWeight(n.freq)})`;
+        const mergedTotal = formatWeight(addWeights(...mergedNodes.map(n => n.freq)));
 
         // Render CURRENT step info (combining) in the dedicated box so it stays in sync
         const nextMergeBox = document.getElementById('next-merge-box');
         if (nextMergeBox) {
-            const cur = this.huffman.steps[currentStep];
-            let labelHtml = '';
-            if (cur && typeof cur.description === 'string') {
-                // Example: Combining nodes 'A' (5) and 'B' (9)
-                const re = /Combining\s+nodes\s+(?:'([^']+)'|internal)\s*\((\d+)\)\s+and\s+(?:'([^']+)'|internal)\s*\((\d+)\)/i;
-                const m = cur.description.match(re);
-                if (m) {
-                    const an = m[1] || 'internal';
-                    const av = Number(m[2]);
-                    const bn = m[3] || 'internal';
-                    const bv = Number(m[4]);
-                    const total = av + bv;
-                    labelHtml = `${an}(${av}) + ${bn}(${bv}) <span class="arrow">→</span> <strong>${total}</strong>`;
-                }
-            }
-            if (!labelHtml) {
-                // Fallback to highlightNodes from current step
-                const stepObj = this.huffman.steps[currentStep];
-                const show = stepObj && Array.isArray(stepObj.highlightNodes) && stepObj.highlightNodes.length >= 2;
-                if (show) {
-                    const ids = stepObj.highlightNodes.slice(0, 2);
-                    const collectNodes = (roots) => {
-                        const out = [];
-                        const stack = Array.isArray(roots) ? [...roots] : (roots ? [roots] : []);
-                        while (stack.length) {
-                            const n = stack.pop();
-                            if (!n) continue;
-                            out.push(n);
-                            if (n.children) stack.push(...n.children);
-                        }
-                        return out;
-                    };
-                    const all = collectNodes(stepObj.nodes);
-                    const byId = new Map(all.map(n => [n.id, n]));
-                    const fmt = (n) => {
-                        if (!n) return '';
-                        const name = (n.name ?? '').toString();
-                        const val = (n.value ?? n.freq ?? 0);
-                        return name ? `${name}(${val})` : `${val}`;
-                    };
-                    const a = byId.get(ids[0]);
-                    const b = byId.get(ids[1]);
-                    if (a || b) {
-                        const av = a ? (a.value ?? a.freq ?? 0) : 0;
-                        const bv = b ? (b.value ?? b.freq ?? 0) : 0;
-                        const total = av + bv;
-                        labelHtml = `${fmt(a)} + ${fmt(b)} <span class="arrow">→</span> <strong>${total}</strong>`;
-                    }
-                }
-            }
-            if (labelHtml) {
+            if (mergedNodes.length) {
+                const labelHtml = `${mergedNodes.map(fmtNode).join(' + ')} <span class="arrow">→</span> <strong>${mergedTotal}</strong>`;
                 nextMergeBox.classList.remove('section-hidden');
                 nextMergeBox.innerHTML = `<div class="step next-merge"><span class="label">current merge:</span> ${labelHtml}</div>`;
             } else {
@@ -1052,25 +1452,48 @@ class HuffmanVisualizer {
             }
         }
 
-        // Mini Priority Queue panel
+        // Mini Priority Queue panel: the min-heap as an array, as a binary tree,
+        // and the heap operations that produced it
         const pqPanel = document.getElementById('pq-panel');
         if (pqPanel) {
             const stepObj = this.huffman.steps[currentStep];
-            const nodesArr = Array.isArray(stepObj?.nodes) ? stepObj.nodes.slice() : [];
-            if (nodesArr.length) {
-                // Flatten forest to leaves+internals at top level; sort ascending by weight
-                const flat = nodesArr.map(n => ({
-                    name: (n.name ?? n.char ?? 'internal'),
-                    value: (n.value ?? n.freq ?? 0),
-                    id: n.id
-                })).sort((a,b) => a.value - b.value || String(a.name).localeCompare(String(b.name)));
-                const pair = Array.isArray(stepObj.highlightNodes) ? stepObj.highlightNodes.slice(0,2) : [];
-                const itemsHtml = flat.map(it => {
-                    const isMerge = pair.includes?.(it.id);
-                    return `<li class="pq-item${isMerge ? ' merge' : ''}">${(it.name || 'internal')}(${it.value})</li>`;
+            const heapArr = Array.isArray(stepObj?.heap) ? stepObj.heap : [];
+            if (stepObj?.queues) {
+                // Two-queue mode: leaf queue and merged queue, fronts first
+                const label = (n) => `${n.char === null ? 'internal' : escapeHtml(this.huffman.symbolLabel(n.char))}(${formatWeight(n.freq)})`;
+                const queueHtml = (title, list) => `<div class="pq-title${title === 'merged queue' ? ' mt-2' : ''}">${title}</div>`
+                    + `<ul class="pq-list">${list.map((n, i) => `<li class="pq-item${i === 0 ? ' merge' : ''}" data-id="${escapeHtml(n.id)}">${label(n)}</li>`).join('') || '<li class="pq-item">empty</li>'}</ul>`;
+                pqPanel.classList.remove('section-hidden');
+                pqPanel.innerHTML = queueHtml('leaf queue', stepObj.queues.leaves) + queueHtml('merged queue', stepObj.queues.merged);
+            } else if (heapArr.length) {
+                const label = (n) => `${n.char === null ? 'internal' : escapeHtml(this.huffman.symbolLabel(n.char))}(${formatWeight(n.freq)})`;
+                const inserted = (stepObj.heapOps || []).filter(op => op.type === 'insert').map(op => op.item.id);
+                const pqItem = (n, i) => {
+                    const isNew = currentStep > 0 && inserted.includes(n.id);
+                    return `<li class="pq-item${isNew ? ' merge' : ''}" data-id="${escapeHtml(n.id)}"><span class="pq-index">${i}</span> ${label(n)}</li>`;
+                };
+                const arrayHtml = heapArr.map(pqItem).join('');
+                let offset = 0;
+                const levelsHtml = MinHeap.levelsOf(heapArr).map(level => {
+                    const row = level.map((n, i) => pqItem(n, offset + i)).join('');
+                    offset += level.length;
+                    return `<ul class="pq-list pq-level">${row}</ul>`;
                 }).join('');
+                const opLabel = (op) => {
+                    switch (op.type) {
+                        case 'insert': return `insert ${label(op.item)} at [${op.index}]`;
+                        case 'extract-min': return `extract-min ${label(op.item)}`;
+                        default: return `${op.type} ${label(op.item)} [${op.from}]→[${op.to}]`;
+                    }
+                };
+                const ops = stepObj.heapOps || [];
+                const opsHtml = ops.length
+                    ? `<ol class="pq-ops">${ops.map(op => `<li>${opLabel(op)}</li>`).join('')}</ol>`
+                    : '';
                 pqPanel.classList.remove('section-hidden');
-                pqPanel.innerHTML = `<div class="pq-title">priority queue</div><ul class="pq-list">${itemsHtml}</ul>`;
+                pqPanel.innerHTML = `<div class="pq-title">priority queue (min-heap array)</div><ul class="pq-list">${arrayHtml}</ul>`
+                    + `<div class="pq-title mt-2">as binary tree</div><div class="pq-heap-tree">${levelsHtml}</div>`
+                    + (opsHtml ? `<div class="pq-title mt-2">heap operations</div>${opsHtml}` : '');
             } else {
                 pqPanel.classList.add('section-hidden');
                 pqPanel.innerHTML = '';
@@ -1082,18 +1505,24 @@ class HuffmanVisualizer {
         if (ann) {
             const stepObj = this.huffman.steps[currentStep];
             let summary = '';
-            if (stepObj && typeof stepObj.description === 'string') {
-                const re = /Combining\s+nodes\s+(?:'([^']+)'|internal)\s*\((\d+)\)\s+and\s+(?:'([^']+)'|internal)\s*\((\d+)\)/i;
-                const m = stepObj.description.match(re);
-                if (m) {
-                    const an = m[1] || 'internal';
-                    const av = Number(m[2]);
-                    const bn = m[3] || 'internal';
-                    const bv = Number(m[4]);
-                    const total = av + bv;
-                    const tie = (av === bv) ? ' (tie-break)' : '';
-                    summary = `reason: pick the two smallest weights in the priority queue to minimize cost → ${av} and ${bv}${tie}. new node weight = <strong>${total}</strong> • legend: left=0, right=1`;
-                }
+            if (mergedNodes.length) {
+                const k = mergedNodes.length;
+                const weights = mergedNodes.map(n => formatWeight(n.freq)).join(k > 2 ? ', ' : ' and ');
+                const tie = stepObj.tieBreak ? ` (tie-break: ${stepObj.tieBreak.label})` : '';
+                const legend = k === 2 ? 'left=0, right=1' : `children left to right = 0..${k - 1}`;
+                summary = `reason: pick the ${k === 2 ? 'two' : k} smallest weights in the priority queue to minimize cost → ${weights}${tie}. new node weight = <strong>${mergedTotal}</strong> • legend: ${legend}`;
+            }
+            if (!summary && stepObj?.adaptive) {
+                // Adaptive step: bits sent for this symbol and running total
+                const info = stepObj.adaptive;
+                summary = info.symbol === undefined
+                    ? 'adaptive huffman: encoder and decoder start from the same single NYT node • legend: left=0, right=1'
+                    : `emitted <code>${info.emitted}</code>${info.isNew ? ' (NYT escape + raw symbol)' : ''} • total so far: <strong>${info.totalBits}</strong> bits • swaps: ${info.swaps.length}`;
+            }
+            if (!summary && stepObj?.split) {
+                // Shannon-Fano split: the two halves and how far apart their weights are
+                const info = stepObj.split;
+                summary = `reason: cut ${escapeHtml(info.group)} where the two halves' weights are closest → ${formatWeight(info.left)} and ${formatWeight(info.right)} (difference ${formatWeight(info.difference)}) • legend: left=0, right=1`;
             }
             if (summary) {
                 ann.classList.remove('section-hidden');
@@ -1118,6 +1547,7 @@ class HuffmanVisualizer {
                 container.scrollTo({ top: elBottom - cHeight + 8, behavior: 'auto' });
             }
         }
+        this.updateQuizPanel();
     }
     
     // Section visibility management
@@ -1172,15 +1602,7 @@ HuffmanVisualizer.prototype.getChoreoDelay = function() {
 };
 
 HuffmanVisualizer.prototype.coreAdvanceStep = function() {
-    let advanced = false;
-    if (typeof this.huffman.nextStep === 'function') {
-        advanced = !!this.huffman.nextStep();
-    } else if (Array.isArray(this.huffman.steps)) {
-        if (this.huffman.currentStep < (this.huffman.steps.length - 1)) {
-            this.huffman.currentStep++;
-            advanced = true;
-        }
-    }
+    const advanced = this.huffman.goToStep(this.huffman.currentStep + 1);
     this.updateTree();
     this.updateSteps();
     this.updateControls(true);
@@ -1194,6 +1616,10 @@ HuffmanVisualizer.prototype.coreAdvanceStep = function() {
 };
 
 HuffmanVisualizer.prototype.step = function() {
+    // While walking through a decode the controls move bit by bit
+    if (this.decodeWalk) return this.stepDecodeWalk(1);
+    // In practice mode a merge only happens once it has been predicted
+    if (this.quiz && !this.quizAllowsStep()) return false;
     const step = this.huffman.getCurrentStep();
     const hasPair = Array.isArray(step?.highlightNodes) && step.highlightNodes.length >= 2;
     if (hasPair) {
@@ -1245,6 +1671,7 @@ HuffmanVisualizer.prototype.togglePlay = function() {
 };
 
 HuffmanVisualizer.prototype.reset = function() {
+    if (this.decodeWalk) this.stopDecodeWalk();
     // Stop timers and pause engine
     if (this.playTimer) {
         clearTimeout(this.playTimer);
@@ -1252,14 +1679,24 @@ HuffmanVisualizer.prototype.reset = function() {
     }
     if (typeof this.huffman.pause === 'function') this.huffman.pause();
     if (typeof this.huffman.reset === 'function') this.huffman.reset();
+    // Engine reset clears the codes; rebuild them from the same tree
+    if (this.currentTree) {
+        this.huffman.generateCodes(this.currentTree);
+        this.huffman.generateCanonicalCodes();
+    }
     // Jump to first step and keep controls enabled and tree visible
-    this.huffman.currentStep = 0;
+    this.huffman.goToStep(0);
     this.huffman.isPlaying = false;
     this.updateControls(true);
     if (this.buildTreeBtn) this.buildTreeBtn.disabled = false;
     this.playBtn.textContent = 'play';
     this.playBtn.className = 'btn btn-outline-success fw-bold';
     this.prevPositions.clear();
+    // Practice mode starts over with a clean score
+    if (this.quiz) {
+        this.quiz = { asked: 0, correct: 0, answers: new Map(), picked: [], pickStep: 0, notice: null, codeSymbols: null, codeResults: null };
+        this.hideCodesSection();
+    }
     this.showTreeSection();
     const step = this.huffman.getCurrentStep && this.huffman.getCurrentStep();
     if (step && step.nodes) this.updateTree();
@@ -1273,42 +1710,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Extend prototype with in-page export overlay
 HuffmanVisualizer.prototype.openCodesPage = function() {
-    // Build Huffman codes directly from the current frequency map to guarantee completeness
-    const entriesFM = Array.from(this.currentFreqMap.entries());
-    const buildCodesFromFreq = (pairs) => {
-        if (!pairs.length) return new Map();
-        // Node structure
-        let nodes = pairs.map(([ch, freq]) => ({ ch, freq, left: null, right: null }));
-        if (nodes.length === 1) {
-            const only = nodes[0];
-            const map = new Map();
-            map.set(only.ch, '0');
-            return map;
-        }
-        while (nodes.length > 1) {
-            nodes.sort((a, b) => a.freq - b.freq || (a.ch || '').localeCompare(b.ch || ''));
-            const a = nodes.shift();
-            const b = nodes.shift();
-            nodes.push({ ch: null, freq: a.freq + b.freq, left: a, right: b });
-        }
-        const root = nodes[0];
-        const codes = new Map();
-        const dfs = (n, prefix) => {
-            if (!n) return;
-            if (!n.left && !n.right) {
-                codes.set(n.ch, prefix || '0');
-                return;
-            }
-            dfs(n.left, prefix + '0');
-            dfs(n.right, prefix + '1');
-        };
-        dfs(root, '');
-        return codes;
-    };
-    let codesMap = buildCodesFromFreq(entriesFM);
-    if (!codesMap.size && this.huffman && this.huffman.codes) {
-        codesMap = this.huffman.codes;
-    }
+    // Use the codes of the built tree so the overlay matches the visualizer
+    const codesMap = this.huffman.codes;
+    const canonicalMap = this.huffman.canonicalize(codesMap);
 
     const overlay = document.getElementById('export-overlay');
     if (!overlay) return;
@@ -1319,24 +1723,39 @@ HuffmanVisualizer.prototype.openCodesPage = function() {
 
     let totalBits = 0;
     let totalCount = 0;
+    const fractional = this.weightsAreFractional();
+    const freqTotal = addWeights(...freqEntries.map(([, freq]) => Number(freq || 0)));
     const tableRows = freqEntries.map(([ch, freq]) => {
         const code = codesMap.get(ch) || '';
+        const canonical = canonicalMap.get(ch) || '';
         const bits = code.length * Number(freq || 0);
         totalBits += bits;
         totalCount += Number(freq || 0);
-        const safeCh = ch === ' ' ? '␣' : ch;
+        const safeCh = this.huffman.symbolLabel(ch);
+        const bitsCell = fractional ? (bits / freqTotal).toFixed(3) : bits;
         return `
             <tr>
                 <td>${escape(safeCh)}</td>
-                <td>${escape(freq)}</td>
+                <td>${escape(formatWeight(freq))}</td>
                 <td><code>${escape(code)}</code></td>
-                <td>${escape(bits)}</td>
+                <td><code>${escape(canonical)}</code></td>
+                <td>${escape(bitsCell)}</td>
             </tr>
         `;
     }).join('');
 
+    const k = this.huffman.arity || 2;
     const originalBits = totalCount * 8;
-    const savingsPct = originalBits > 0 ? Math.max(0, (1 - (totalBits / originalBits)) * 100) : 0;
+    const savingsPct = savingsPercent(totalBits, totalCount, k);
+    // Sizes as the codes card shows them: k-ary digits with their bit equivalent
+    const average = totalCount > 0 ? totalBits / totalCount : 0;
+    const averageText = k === 2 ? average.toFixed(3) : `${average.toFixed(3)} base-${k} digits ≈ ${(average * Math.log2(k)).toFixed(3)}`;
+    const totalText = k === 2 ? String(totalBits) : `${totalBits} base-${k} digits ≈ ${(totalBits * Math.log2(k)).toFixed(1)}`;
+    const stats = computeCodeStats(this.currentFreqMap, codesMap, this.huffman.arity);
+    // .huff export encodes the analysed text or file with a binary code
+    const huffBlocked = !this.currentText
+        ? 'analyse text or a file to export it'
+        : (this.huffman.arity !== 2 ? '.huff files need a binary (arity 2) code' : '');
 
     overlay.innerHTML = `
       <div class="container" style="max-width:1000px;margin:0 auto;">
@@ -1348,19 +1767,22 @@ HuffmanVisualizer.prototype.openCodesPage = function() {
           <div class="card-header">frequencies & codes</div>
           <div class="card-body">
             <div class="mb-3 d-flex flex-wrap gap-3" style="font-weight:700;color:#5a4a3a;">
-              <div>estimated encoded size: <span style="font-weight:800;">${totalBits}</span> bits</div>
-              <div>original size (8‑bit): <span style="font-weight:800;">${originalBits}</span> bits</div>
+              ${fractional
+                  ? `<div>expected code length: <span style="font-weight:800;">${averageText}</span> bits per symbol</div>
+              <div>original size (8‑bit): <span style="font-weight:800;">8</span> bits per symbol</div>`
+                  : `<div>estimated encoded size: <span style="font-weight:800;">${totalText}</span> bits</div>
+              <div>original size (8‑bit): <span style="font-weight:800;">${originalBits}</span> bits</div>`}
               <div>savings: <span style="font-weight:800;">${savingsPct.toFixed(1)}%</span></div>
             </div>
             <div class="codes mb-3" style="display:grid;grid-template-columns:repeat(auto-fill,minmax(140px,1fr));gap:10px;">
               ${codesEntries.map(([ch, code]) => `
-                <div class="code-item"><span class="char">${escape(ch === ' ' ? '␣' : ch)}</span> <code>${escape(code)}</code></div>
+                <div class="code-item"><span class="char">${escape(this.huffman.symbolLabel(ch))}</span> <code>${escape(code)}</code></div>
               `).join('')}
             </div>
             <div class="table-responsive">
               <table class="table table-sm align-middle">
                 <thead>
-                  <tr><th>character</th><th>frequency</th><th>code</th><th>total bits</th></tr>
+                  <tr><th>character</th><th>${fractional ? 'weight' : 'frequency'}</th><th>code</th><th>canonical code</th><th>${fractional ? 'expected' : 'total'} ${k === 2 ? 'bits' : 'digits'}</th></tr>
                 </thead>
                 <tbody>
                   ${tableRows}
@@ -1369,6 +1791,28 @@ HuffmanVisualizer.prototype.openCodesPage = function() {
             </div>
           </div>
         </div>
+        <div class="card mt-3">
+          <div class="card-header">entropy & efficiency</div>
+          <div class="card-body">
+            <div class="code-stats mb-3">${this.codeStatsHtml(stats)}</div>
+            <div class="stats-chart">${this.codeStatsChartHtml(stats)}</div>
+          </div>
+        </div>
+        <div class="card mt-3">
+          <div class="card-header">compressed file (.huff)</div>
+          <div class="card-body">
+            <div class="d-flex flex-wrap gap-2 align-items-center mb-2">
+              <label for="huff-table-select" class="m-0">code table</label>
+              <select id="huff-table-select" class="form-select form-select-sm" style="width:auto;">
+                <option value="lengths" selected>canonical code lengths</option>
+                <option value="tree">pre-order tree dump</option>
+              </select>
+              <button id="download-huff" class="btn btn-primary btn-sm" ${huffBlocked ? 'disabled' : ''}>download .huff</button>
+              <label class="btn btn-outline-primary btn-sm m-0">open .huff<input type="file" id="import-huff" accept=".huff" class="d-none"></label>
+            </div>
+            <div id="huff-status" class="small">${escape(huffBlocked)}</div>
+          </div>
+        </div>
       </div>
     `;
 
@@ -1381,6 +1825,16 @@ HuffmanVisualizer.prototype.openCodesPage = function() {
             overlay.innerHTML = '';
         };
     }
+    const downloadHuffBtn = overlay.querySelector('#download-huff');
+    if (downloadHuffBtn) {
+        downloadHuffBtn.onclick = () => this.exportHuffFile(overlay.querySelector('#huff-table-select').value);
+    }
+    const importHuff = overlay.querySelector('#import-huff');
+    if (importHuff) {
+        importHuff.onchange = (e) => {
+            if (e.target.files.length) this.importHuffFile(e.target.files[0]);
+        };
+    }
 };
 
 // Export current tree SVG as PNG (separate button on tree page)
@@ -1491,3 +1945,1454 @@ HuffmanVisualizer.prototype.applyZoom = function() {
         this.zoomResetBtn.textContent = `${Math.round(this.zoomLevel * 100)}%`;
     }
 };
+
+// Escape text for insertion into innerHTML
+function escapeHtml(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Playground colours: one per symbol, cycling through an earthy palette
+const PLAYGROUND_COLORS = ['#e8c9a0', '#c9dcb3', '#d9b8c4', '#b8cfd9', '#e6dba0', '#cbb8e0', '#a8d5c2', '#f0b8a0'];
+
+HuffmanVisualizer.prototype.symbolColor = function(char) {
+    const symbols = Array.from(this.huffman.codes.keys()).sort();
+    const index = Math.max(0, symbols.indexOf(char));
+    return PLAYGROUND_COLORS[index % PLAYGROUND_COLORS.length];
+};
+
+HuffmanVisualizer.prototype.showPlaygroundError = function(message) {
+    const errorEl = document.getElementById('playground-error');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('section-hidden', !message);
+};
+
+// Encode the playground message with the built codes, one coloured span per symbol
+HuffmanVisualizer.prototype.updatePlaygroundEncoding = function() {
+    const input = document.getElementById('playground-text');
+    const out = document.getElementById('playground-bits');
+    if (!input || !out) return;
+    // In byte mode the typed text is encoded as its UTF-8 bytes
+    const text = this.huffman.byteSymbols
+        ? this.huffman.bytesToSymbols(new TextEncoder().encode(input.value))
+        : input.value;
+    this.showPlaygroundError('');
+    if (!text || !this.huffman.codes.size) {
+        out.innerHTML = '';
+        return;
+    }
+    const label = (ch) => escapeHtml(this.huffman.symbolLabel(ch));
+    try {
+        const bits = this.huffman.encodeToBitString(text);
+        const spans = Array.from(text, ch => {
+            const code = this.huffman.codes.get(ch);
+            return `<span class="pg-code" style="background:${this.symbolColor(ch)}" title="${label(ch)}">${code}</span>`;
+        }).join('');
+        out.innerHTML = `${spans}<div class="small mt-1">${bits.length} ${this.huffman.arity === 2 ? 'bits' : 'digits'} for ${Array.from(text).length} symbols</div>`;
+    } catch (e) {
+        // Point at the symbol that has no code
+        const symbols = Array.from(text);
+        out.innerHTML = symbols.map((ch, i) => (i === e.position
+            ? `<span class="pg-bad">${label(ch)}</span>`
+            : label(ch))).join('');
+        this.showPlaygroundError(`symbol '${this.huffman.symbolLabel(symbols[e.position] ?? '?')}' at position ${e.position} is not in the tree`);
+    }
+};
+
+// Make sure the finished tree is on screen; returns how long its animation takes
+HuffmanVisualizer.prototype.showFinalStep = function() {
+    const last = this.huffman.steps.length - 1;
+    if (last < 0 || this.huffman.currentStep === last) return 0;
+    if (this.huffman.isPlaying) this.togglePlay();
+    this.huffman.goToStep(last);
+    this.updateTree();
+    this.updateSteps();
+    this.updateControls(true);
+    return this.lastStepDurationMs || 0;
+};
+
+// Root-to-leaf walks on the D3 tree for path-highlight mode and the decoding
+// walk. Nodes are matched by data-id; an edge carries the id of the child it
+// leads to.
+HuffmanVisualizer.prototype.treePathElements = function(selector, id) {
+    return Array.from(document.querySelectorAll(`#tree-container ${selector}[data-id="${id}"]`));
+};
+
+HuffmanVisualizer.prototype.clearTreePath = function() {
+    (this.pathTimers || []).forEach(t => clearTimeout(t));
+    this.pathTimers = [];
+    document.querySelectorAll('#tree-container .path-active, #tree-container .path-emit')
+        .forEach(el => el.classList.remove('path-active', 'path-emit'));
+    document.querySelectorAll('#tree-container .path-cursor').forEach(el => el.remove());
+};
+
+// Show a single frame of a walk: nodes and edges along `path` are lit, the
+// last edge gets a cursor overlay (drawn with CSS), and `emit` makes the
+// reached leaf glow
+HuffmanVisualizer.prototype.setTreePath = function(path, options = {}) {
+    this.clearTreePath();
+    const lastIndex = path.length - 1;
+    path.forEach((id, i) => {
+        const state = (options.emit && i === lastIndex) ? ['path-active', 'path-emit'] : ['path-active'];
+        this.treePathElements('.node', id).forEach(el => el.classList.add(...state));
+        if (i > 0) this.treePathElements('.link', id).forEach(el => el.classList.add(...state));
+    });
+    if (lastIndex > 0) {
+        this.treePathElements('.link', path[lastIndex]).forEach(el => {
+            const cursor = el.cloneNode(false);
+            cursor.removeAttribute('data-id');
+            cursor.removeAttribute('style');
+            cursor.setAttribute('class', 'link path-cursor path-cursor-css');
+            cursor.setAttribute('pathLength', '1');
+            el.parentNode.insertBefore(cursor, el.nextSibling);
+        });
+    }
+};
+
+// Animate a list of walks (node-id paths, one per symbol) one node at a time
+HuffmanVisualizer.prototype.highlightTreePath = function(walks, options = {}) {
+    this.clearTreePath();
+    const stepMs = options.stepMs || 350;
+    const later = (fn, t) => this.pathTimers.push(setTimeout(fn, t));
+    let t = 0;
+    walks.forEach((path, walkIndex) => {
+        later(() => {
+            document.querySelectorAll('#tree-container .path-active, #tree-container .path-emit')
+                .forEach(el => el.classList.remove('path-active', 'path-emit'));
+        }, t);
+        path.forEach((id, i) => {
+            later(() => {
+                const state = i === path.length - 1 ? ['path-active', 'path-emit'] : ['path-active'];
+                this.treePathElements('.node', id).forEach(el => el.classList.add(...state));
+                if (i > 0) this.treePathElements('.link', id).forEach(el => el.classList.add(...state));
+                if (i === path.length - 1 && options.onSymbol) options.onSymbol(walkIndex);
+            }, t);
+            t += stepMs;
+        });
+        t += stepMs;
+    });
+    later(() => { if (options.onDone) options.onDone(); }, t);
+};
+
+// Decode the pasted bitstring and animate each symbol's root-to-leaf walk
+HuffmanVisualizer.prototype.decodePlayground = function() {
+    const input = document.getElementById('playground-bits-input');
+    const out = document.getElementById('playground-decoded');
+    if (!input || !out || !this.currentTree) return;
+    const bits = input.value.replace(/\s+/g, '');
+    if (this.decodeWalk) this.stopDecodeWalk();
+    this.showPlaygroundError('');
+    this.clearTreePath();
+    let symbols;
+    try {
+        symbols = this.huffman.decodeSymbols(bits, this.currentTree);
+    } catch (e) {
+        // Show the bitstring with the offending bit marked
+        const pos = e.position ?? bits.length;
+        out.innerHTML = `${escapeHtml(bits.slice(0, pos))}<span class="pg-bad">${escapeHtml(bits[pos] ?? '∎')}</span>${escapeHtml(bits.slice(pos + 1))}`;
+        this.showPlaygroundError(e.message);
+        return;
+    }
+    out.innerHTML = symbols.map((sym, i) => (
+        `<span class="pg-code" data-index="${i}" style="background:${this.symbolColor(sym.char)}" title="${escapeHtml(bits.slice(sym.start, sym.end))}">${escapeHtml(this.huffman.symbolLabel(sym.char))}</span>`
+    )).join('');
+    if (!symbols.length) return;
+
+    const delay = this.showFinalStep();
+    setTimeout(() => {
+        this.highlightTreePath(symbols.map(sym => sym.path), {
+            stepMs: Math.round(350 / (this.speedMultiplier || 1)),
+            onSymbol: (i) => {
+                out.querySelectorAll('.pg-code.active').forEach(el => el.classList.remove('active'));
+                const span = out.querySelector(`.pg-code[data-index="${i}"]`);
+                if (span) span.classList.add('active');
+            }
+        });
+    }, delay);
+};
+
+// Step through a decode one bit at a time: the back/step/play controls move
+// the cursor along the tree instead of through the construction steps
+HuffmanVisualizer.prototype.toggleDecodeWalk = function() {
+    if (this.decodeWalk) {
+        this.stopDecodeWalk();
+        return;
+    }
+    const input = document.getElementById('playground-bits-input');
+    if (!input || !this.currentTree) return;
+    const bits = input.value.replace(/\s+/g, '');
+    let frames;
+    try {
+        frames = this.huffman.decodeWalk(bits, this.currentTree);
+    } catch (e) {
+        // Let the regular decode report (and mark) the error
+        this.decodePlayground();
+        return;
+    }
+    if (!frames.length) return;
+    this.clearTreePath();
+    this.showPlaygroundError('');
+    const delay = this.showFinalStep();
+    this.decodeWalk = { bits, frames, index: 0 };
+    const walkBtn = document.getElementById('playground-walk');
+    if (walkBtn) walkBtn.textContent = 'stop';
+    setTimeout(() => this.renderDecodeWalk(), delay);
+};
+
+HuffmanVisualizer.prototype.stepDecodeWalk = function(delta) {
+    const walk = this.decodeWalk;
+    const next = walk.index + delta;
+    if (next < 0 || next >= walk.frames.length) return false;
+    walk.index = next;
+    this.renderDecodeWalk();
+    return true;
+};
+
+HuffmanVisualizer.prototype.renderDecodeWalk = function() {
+    const walk = this.decodeWalk;
+    if (!walk) return;
+    const frame = walk.frames[walk.index];
+    this.setTreePath(frame.path, { emit: frame.emitted !== null });
+    const out = document.getElementById('playground-decoded');
+    if (out) {
+        const { bits } = walk;
+        const unit = this.huffman.arity === 2 ? 'bit' : 'digit';
+        const result = frame.emitted !== null ? `reached '${escapeHtml(frame.emitted)}'` : 'internal node';
+        out.innerHTML = `${escapeHtml(bits.slice(0, frame.bit))}<span class="pg-cursor">${escapeHtml(bits[frame.bit])}</span>${escapeHtml(bits.slice(frame.bit + 1))}`
+            + `<div class="small mt-1">${unit} ${frame.bit + 1} of ${bits.length}: ${result}</div>`
+            + `<div class="small">decoded: <strong>${escapeHtml(frame.output) || '&mdash;'}</strong></div>`;
+    }
+    this.backBtn.disabled = walk.index === 0;
+    this.stepBtn.disabled = walk.index === walk.frames.length - 1;
+};
+
+HuffmanVisualizer.prototype.stopDecodeWalk = function() {
+    this.decodeWalk = null;
+    this.clearTreePath();
+    const walkBtn = document.getElementById('playground-walk');
+    if (walkBtn) walkBtn.textContent = 'step through';
+    this.updateControls(true);
+};
+
+// Entropy and efficiency of the built codes (see code-stats.js)
+HuffmanVisualizer.prototype.updateCodeStats = function() {
+    const statsEl = document.getElementById('codes-stats');
+    const chartEl = document.getElementById('codes-stats-chart');
+    if (!statsEl && !chartEl) return;
+    if (!this.huffman.codes.size || !this.currentFreqMap.size) {
+        if (statsEl) statsEl.innerHTML = '';
+        if (chartEl) chartEl.innerHTML = '';
+        return;
+    }
+    const stats = computeCodeStats(this.currentFreqMap, this.huffman.codes, this.huffman.arity);
+    if (statsEl) statsEl.innerHTML = this.codeStatsHtml(stats);
+    if (chartEl) chartEl.innerHTML = this.codeStatsChartHtml(stats);
+};
+
+HuffmanVisualizer.prototype.codeStatsHtml = function(stats) {
+    const unit = stats.arity === 2 ? 'bits' : `base-${stats.arity} digits`;
+    const kraft = stats.kraftSum.toFixed(4);
+    return `
+        <div title="Shannon entropy: the lower bound on average code length">entropy H: <strong>${stats.entropy.toFixed(3)}</strong> ${unit}/symbol</div>
+        <div title="Average code length weighted by frequency">average length L: <strong>${stats.averageLength.toFixed(3)}</strong> ${unit}/symbol</div>
+        <div title="How far the code is above the entropy bound">redundancy L−H: <strong>${stats.redundancy.toFixed(3)}</strong></div>
+        <div>efficiency H/L: <strong>${(stats.efficiency * 100).toFixed(1)}%</strong></div>
+        <div class="${stats.kraftOk ? '' : 'kraft-bad'}" title="Sum of ${stats.arity}^-length over all codes; at most 1 for a prefix code">Kraft sum: <strong>${kraft}</strong> ${stats.kraftOk ? '≤ 1 ✓' : '> 1 ✗'}</div>
+    `;
+};
+
+// Paired bars per symbol: -log_k(p) (ideal length) and the actual code length
+HuffmanVisualizer.prototype.codeStatsChartHtml = function(stats) {
+    const logLabel = stats.arity === 2 ? '−log₂(p)' : `−log${stats.arity}(p)`;
+    const max = stats.symbols.reduce((m, s) => Math.max(m, s.information, s.length), 0) || 1;
+    const rows = stats.symbols.map(s => {
+        const label = escapeHtml(this.huffman.symbolLabel(s.char));
+        const title = `${label}: p = ${s.p.toFixed(4)}, ${logLabel} = ${s.information.toFixed(2)}, code length = ${s.length}`;
+        return `
+            <div class="stats-row" title="${title}">
+                <span><code>${label}</code></span>
+                <div class="stats-bars">
+                    <div class="stats-bar ideal" style="width:${(s.information / max * 100).toFixed(1)}%"></div>
+                    <div class="stats-bar actual" style="width:${(s.length / max * 100).toFixed(1)}%"></div>
+                </div>
+            </div>`;
+    }).join('');
+    return `
+        <div class="stats-legend">
+            <span><span class="stats-swatch" style="background:#c9dcb3"></span>${logLabel}</span>
+            <span><span class="stats-swatch" style="background:#8b6f47"></span>code length</span>
+        </div>
+        ${rows}`;
+};
+
+// Side-by-side comparison of fixed-length, Shannon, Shannon-Fano, Huffman and
+// arithmetic coding on the current frequency map (see coders.js)
+HuffmanVisualizer.prototype.openCoderComparison = function() {
+    const overlay = document.getElementById('export-overlay');
+    if (!overlay || !this.currentFreqMap.size) return;
+
+    let result;
+    try {
+        // Analysed text is encoded as-is by the arithmetic coder
+        result = compareCoders(this.currentFreqMap, this.currentText ? Array.from(this.currentText) : null);
+    } catch (error) {
+        alert(error.message);
+        console.error(error);
+        return;
+    }
+    const { symbols, count, entropy, rows } = result;
+    const best = Math.min(...rows.map(r => r.totalBits));
+    const summaryRows = rows.map(row => `
+            <tr${row.totalBits === best ? ' class="table-success"' : ''}>
+                <td>${row.name}</td>
+                <td>${Number.isInteger(row.totalBits) ? row.totalBits : row.totalBits.toFixed(1)}</td>
+                <td>${row.bitsPerSymbol.toFixed(3)}</td>
+                <td>+${row.gap.toFixed(3)} <small>(${entropy > 0 ? (row.gap / entropy * 100).toFixed(1) : '0.0'}%)</small></td>
+                <td>${row.codes ? 'prefix code' : `no per-symbol codes${row.roundTrip ? ' • round-trip ok' : ' • round-trip mismatch'}`}</td>
+            </tr>`).join('');
+
+    const codeRows = rows.filter(row => row.codes);
+    const symbolRows = symbols.map(sym => `
+            <tr>
+                <td>${escapeHtml(this.huffman.symbolLabel(sym.char))}</td>
+                <td>${formatWeight(sym.freq)}</td>
+                <td>${(sym.freq / count).toFixed(4)}</td>
+                ${codeRows.map(row => `<td><code>${row.codes.get(sym.char)}</code></td>`).join('')}
+            </tr>`).join('');
+
+    overlay.innerHTML = `
+      <div class="container" style="max-width:1000px;margin:0 auto;">
+        <div class="d-flex justify-content-between align-items-center mb-3">
+          <h1 class="m-0">compare coders</h1>
+          <button id="close-export" class="btn btn-secondary">back to visualizer</button>
+        </div>
+        <div class="card">
+          <div class="card-header">total size (binary codes)</div>
+          <div class="card-body">
+            <div class="mb-2" style="font-weight:700;color:#5a4a3a;">entropy: <span style="font-weight:800;">${entropy.toFixed(3)}</span> bits/symbol × ${count} symbols = ${(entropy * count).toFixed(1)} bits</div>
+            <div class="table-responsive">
+              <table class="table table-sm align-middle">
+                <thead><tr><th>coder</th><th>total bits</th><th>bits/symbol</th><th>gap to entropy</th><th>notes</th></tr></thead>
+                <tbody>${summaryRows}</tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+        <div class="card mt-3">
+          <div class="card-header">code per symbol</div>
+          <div class="card-body">
+            <div class="table-responsive">
+              <table class="table table-sm align-middle">
+                <thead><tr><th>character</th><th>frequency</th><th>p</th>${codeRows.map(row => `<th>${row.name}</th>`).join('')}</tr></thead>
+                <tbody>${symbolRows}</tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    overlay.classList.remove('section-hidden');
+    const closeBtn = overlay.querySelector('#close-export');
+    if (closeBtn) {
+        closeBtn.onclick = () => {
+            overlay.classList.add('section-hidden');
+            overlay.innerHTML = '';
+        };
+    }
+};
+
+// Largest file accepted for analysis; every step and the encoded bitstring
+// are kept in memory
+const MAX_FILE_BYTES = 1 << 20;
+
+HuffmanVisualizer.prototype.loadFile = function(file) {
+    if (file.size > MAX_FILE_BYTES) {
+        alert(`File is ${file.size} bytes; files up to ${MAX_FILE_BYTES} bytes can be analysed`);
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+        this.fileBytes = new Uint8Array(reader.result);
+        this.fileName = file.name;
+        const info = document.getElementById('file-info');
+        if (info) {
+            info.textContent = `${file.name} — ${this.fileBytes.length} bytes (typing clears the file)`;
+            info.classList.remove('section-hidden');
+        }
+        if (this.textInput) {
+            this.textInput.value = '';
+            this.textInput.placeholder = `analysing ${file.name}`;
+        }
+    };
+    reader.onerror = () => alert(`Could not read ${file.name}`);
+    reader.readAsArrayBuffer(file);
+};
+
+HuffmanVisualizer.prototype.clearFile = function() {
+    this.fileBytes = null;
+    this.fileName = null;
+    if (this.fileInput) this.fileInput.value = '';
+    const info = document.getElementById('file-info');
+    if (info) info.classList.add('section-hidden');
+    if (this.textInput) this.textInput.placeholder = 'enter text to analyze...';
+};
+
+// Symbols to analyse from the text tab: the uploaded file or the typed text,
+// as bytes (one U+0000..U+00FF character each) or as UTF-8 code points
+HuffmanVisualizer.prototype.readSourceSymbols = function() {
+    const byteMode = this.symbolModeSelect ? this.symbolModeSelect.value === 'bytes' : false;
+    let text;
+    if (this.fileBytes) {
+        if (!this.fileBytes.length) throw new Error(`${this.fileName} is empty`);
+        if (byteMode) {
+            text = this.huffman.bytesToSymbols(this.fileBytes);
+        } else {
+            try {
+                text = new TextDecoder('utf-8', { fatal: true }).decode(this.fileBytes);
+            } catch (e) {
+                throw new Error(`${this.fileName} is not valid UTF-8; analyse it in byte mode instead`);
+            }
+        }
+    } else {
+        text = this.textInput.value.trim();
+        if (!text) {
+            throw new Error('Please enter some text to analyze');
+        }
+        if (byteMode) text = this.huffman.bytesToSymbols(new TextEncoder().encode(text));
+    }
+    this.huffman.byteSymbols = byteMode;
+    return text;
+};
+
+// Save bytes as a download
+function downloadBytes(bytes, filename, type = 'application/octet-stream') {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([bytes], { type }));
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+// Write the analysed input as a .huff file (see huff-format.js)
+HuffmanVisualizer.prototype.exportHuffFile = function(table) {
+    const status = document.getElementById('huff-status');
+    try {
+        const symbolMode = this.huffman.byteSymbols ? 'bytes' : 'utf8';
+        const file = writeHuffFile(this.currentText, this.huffman.codes, { symbolMode, table });
+        const tableSize = new DataView(file.buffer).getUint32(12);
+        const originalBytes = this.huffman.byteSymbols
+            ? this.currentText.length
+            : new TextEncoder().encode(this.currentText).length;
+        downloadBytes(file, `${this.fileName || 'text'}.huff`);
+        if (status) {
+            status.textContent = `wrote ${file.length} bytes (16 header + ${tableSize} code table + ${file.length - 16 - tableSize} payload) for ${originalBytes} original bytes`;
+        }
+    } catch (error) {
+        if (status) status.textContent = `export failed: ${error.message}`;
+        console.error(error);
+    }
+};
+
+// Decode a .huff file back to its original bytes
+HuffmanVisualizer.prototype.importHuffFile = function(file) {
+    const status = document.getElementById('huff-status');
+    const reader = new FileReader();
+    reader.onload = () => {
+        let result;
+        try {
+            result = readHuffFile(new Uint8Array(reader.result));
+        } catch (error) {
+            if (status) status.textContent = `${file.name}: ${error.message}`;
+            console.error(error);
+            return;
+        }
+        const bytes = result.symbolMode === 'bytes';
+        const preview = Array.from(result.text.slice(0, 200), ch => printableSymbol(ch, bytes)).join('');
+        const matches = result.text === this.currentText ? ' • matches the analysed input' : '';
+        if (status) {
+            status.innerHTML = `${escapeHtml(file.name)}: ${result.length} ${bytes ? 'bytes' : 'code points'} decoded `
+                + `(${result.table === 'lengths' ? 'canonical lengths' : 'tree'} table, ${result.codes.size} codes) → ${result.bytes.length} bytes${matches}`
+                + `<div class="mt-1"><code>${escapeHtml(preview)}${result.text.length > 200 ? '…' : ''}</code></div>`
+                + '<button id="download-decoded" class="btn btn-outline-primary btn-sm mt-1">download decoded file</button>';
+            status.querySelector('#download-decoded').onclick = () => {
+                downloadBytes(result.bytes, file.name.replace(/\.huff$/i, '') || 'decoded');
+            };
+        }
+    };
+    reader.onerror = () => {
+        if (status) status.textContent = `could not read ${file.name}`;
+    };
+    reader.readAsArrayBuffer(file);
+};
+
+// Text exports of the final tree (see tree-formats.js)
+const TREE_EXPORTS = {
+    json: { extension: 'json', type: 'application/json' },
+    preorder: { extension: 'txt', type: 'text/plain' },
+    dot: { extension: 'dot', type: 'text/vnd.graphviz' },
+    newick: { extension: 'nwk', type: 'text/plain' }
+};
+
+// Disable the pre-order export, with the reason, for trees it cannot store
+HuffmanVisualizer.prototype.updateTreeExportMenu = function() {
+    const item = document.querySelector('[data-tree-format="preorder"]');
+    if (!item) return;
+    const blocker = this.currentTree ? preorderBitsBlocker(this.currentTree) : null;
+    item.disabled = !!blocker;
+    item.title = blocker || '';
+    const note = this.buildMode === 'adaptive' ? ' (not for adaptive trees)' : ' (not for this tree)';
+    item.textContent = `pre-order bits${blocker ? note : ''}`;
+};
+
+HuffmanVisualizer.prototype.exportTreeText = function(format) {
+    if (!this.currentTree || !TREE_EXPORTS[format]) return;
+    const root = this.currentTree;
+    const codes = this.huffman.codes;
+    const label = (s) => this.huffman.symbolLabel(s);
+    try {
+        let text;
+        switch (format) {
+            case 'json':
+                text = `${JSON.stringify(treeToJSON(root, { arity: this.huffman.arity, byteSymbols: this.huffman.byteSymbols, codes }), null, 2)}\n`;
+                break;
+            case 'preorder':
+                text = `${treeToPreorderBits(root, { byteSymbols: this.huffman.byteSymbols })}\n`;
+                break;
+            case 'dot':
+                text = treeToDot(root, { codes, label });
+                break;
+            default:
+                text = treeToNewick(root, { label });
+        }
+        const { extension, type } = TREE_EXPORTS[format];
+        downloadBytes(new TextEncoder().encode(text), `huffman-tree${format === 'preorder' ? '-preorder' : ''}.${extension}`, type);
+    } catch (error) {
+        alert(error.message);
+        console.error(error);
+    }
+};
+
+// Reopen a tree saved as JSON: its construction steps are replayed from the
+// tree itself, so the saved shape is kept even if a builder would differ
+HuffmanVisualizer.prototype.importTree = function(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const { root, arity, byteSymbols } = treeFromJSON(reader.result);
+            const freqMap = new Map();
+            const stack = [root];
+            while (stack.length) {
+                const node = stack.pop();
+                if (node.isLeaf()) {
+                    if (!node.placeholder) freqMap.set(node.char, node.freq);
+                } else {
+                    stack.push(...node.children);
+                }
+            }
+            if (this.decodeWalk) this.stopDecodeWalk();
+            this.huffman.setArity(arity);
+            this.huffman.byteSymbols = byteSymbols;
+            if (this.aritySelect) this.aritySelect.value = String(arity);
+            this.buildMode = 'heap';
+            if (this.buildModeSelect) this.buildModeSelect.value = 'heap';
+            this.currentFreqMap = freqMap;
+            this.currentText = null;
+            this.inputMode = 'manual';
+            this.currentTree = this.huffman.replayTree(root);
+            this.huffman.generateCodes(root);
+            this.huffman.unlimitedCodes = new Map();
+            this.huffman.generateCanonicalCodes();
+
+            this.hideInputSection();
+            this.showTreeSection();
+            this.showCodesSection();
+            this.renderBuiltTree();
+        } catch (error) {
+            alert(`${file.name}: ${error.message}`);
+            console.error(error);
+        }
+    };
+    reader.onerror = () => alert(`Could not read ${file.name}`);
+    reader.readAsText(file);
+};
+
+// Standalone SVG exports carry their own copy of the tree styles, so they
+// look the same outside the page. The copy is read from the page's own
+// stylesheet: rules that only select the classes below, without the
+// interaction and animation properties a still image has no use for.
+const STEP_SVG_FONTS = ['Georgia', 'Courier New'];
+const STEP_SVG_CLASSES = ['node', 'leaf', 'internal', 'link', 'edge-label', 'code-label'];
+const STEP_SVG_SKIPPED = /^(transition|animation|cursor|user-select|filter)/;
+// Rules only the export needs: the page flashes merging nodes with an
+// animation, which a still image draws as a fixed ring instead
+const STEP_SVG_EXTRA_STYLE = `
+.node.merging circle { stroke: #7a2d2d; stroke-width: 4px; }
+.caption { font-family: Georgia, 'Times New Roman', serif; font-size: 14px; fill: #2d2416; }
+`;
+
+// Whether a selector only picks out tree elements the export draws
+function isStepSvgSelector(selector) {
+    if (/[#:[\]*>+~]/.test(selector)) return false;
+    const classes = selector.match(/\.[\w-]+/g) || [];
+    return classes.length > 0 && classes.every(c => STEP_SVG_CLASSES.includes(c.slice(1)));
+}
+
+// The tree rules of the page's stylesheets, as CSS text
+function treeStyleCss() {
+    const rules = [];
+    for (const sheet of Array.from(document.styleSheets)) {
+        let cssRules;
+        try {
+            cssRules = sheet.cssRules;
+        } catch (e) {
+            continue; // cross-origin stylesheet
+        }
+        Array.from(cssRules).forEach(rule => {
+            if (rule.type !== CSSRule.STYLE_RULE) return;
+            const selectors = rule.selectorText.split(',').map(s => s.trim()).filter(isStepSvgSelector);
+            const declarations = Array.from(rule.style)
+                .filter(name => !STEP_SVG_SKIPPED.test(name))
+                .map(name => `${name}: ${rule.style.getPropertyValue(name)}${rule.style.getPropertyPriority(name) ? ' !important' : ''}`);
+            if (selectors.length && declarations.length) {
+                rules.push(`${selectors.join(', ')} { ${declarations.join('; ')}; }`);
+            }
+        });
+    }
+    return `\n${rules.join('\n')}${STEP_SVG_EXTRA_STYLE}`;
+}
+
+// @font-face rules for the tree fonts, when the page loads them as web
+// fonts, with each url() inlined as a data URI
+async function treeFontFaceCss() {
+    const rules = [];
+    for (const sheet of Array.from(document.styleSheets)) {
+        let cssRules;
+        try {
+            cssRules = sheet.cssRules;
+        } catch (e) {
+            continue; // cross-origin stylesheet
+        }
+        Array.from(cssRules).forEach(rule => {
+            const family = rule.style && rule.style.getPropertyValue('font-family').replace(/["']/g, '').trim();
+            if (rule.type === CSSRule.FONT_FACE_RULE && STEP_SVG_FONTS.includes(family)) {
+                rules.push({ css: rule.cssText, base: sheet.href || location.href });
+            }
+        });
+    }
+    const inlined = [];
+    for (const { css, base } of rules) {
+        let text = css;
+        for (const [match, url] of css.matchAll(/url\(["']?([^"')]+)["']?\)/g)) {
+            try {
+                const blob = await (await fetch(new URL(url, base))).blob();
+                const dataUri = await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = reject;
+                    reader.readAsDataURL(blob);
+                });
+                text = text.replace(match, `url("${dataUri}")`);
+            } catch (e) {
+                console.warn('Could not inline font', url, e);
+            }
+        }
+        inlined.push(text);
+    }
+    return inlined.join('\n');
+}
+
+// One construction step as standalone SVG markup. The view box is fitted to
+// the tree unless `frame` ({ width, height }) fixes the size, as image
+// sequences need; `caption` adds the step description underneath.
+HuffmanVisualizer.prototype.renderStepSvg = function(index, { fontCss = '', caption = false, frame = null } = {}) {
+    const steps = this.huffman.steps;
+    const step = steps[index];
+    const layout = step && this.computeTreeLayout(step, 900, index === steps.length - 1);
+    if (!layout) throw new Error(`No tree for step ${index + 1}`);
+    const mergingIds = step.highlightNodes && step.highlightNodes.length >= 2 ? step.highlightNodes : [];
+
+    const xs = layout.nodes.map(n => n.x);
+    const ys = layout.nodes.map(n => n.y);
+    const captionLines = caption ? wrapCaption(`step ${index + 1} of ${steps.length}: ${step.description || ''}`, 90) : [];
+    const captionHeight = captionLines.length * 20 + (caption ? 16 : 0);
+    const box = {
+        x: Math.min(...xs) - 70,
+        y: Math.min(...ys) - 40,
+        width: Math.max(...xs) - Math.min(...xs) + 140,
+        height: Math.max(...ys) - Math.min(...ys) + 90 + captionHeight
+    };
+    // Room for a full caption line under a narrow tree
+    if (caption && box.width < 680) {
+        box.x -= (680 - box.width) / 2;
+        box.width = 680;
+    }
+    if (frame) {
+        box.x -= (frame.width - box.width) / 2;
+        box.width = frame.width;
+        box.height = frame.height;
+    }
+
+    const fmt = (v) => Math.round(v * 10) / 10;
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(box.width)}" height="${fmt(box.height)}" viewBox="${fmt(box.x)} ${fmt(box.y)} ${fmt(box.width)} ${fmt(box.height)}">`,
+        `<style>${fontCss}${treeStyleCss()}</style>`,
+        `<rect class="background" x="${fmt(box.x)}" y="${fmt(box.y)}" width="${fmt(box.width)}" height="${fmt(box.height)}" fill="#ffffff"/>`,
+        '<g class="links">',
+        ...layout.links.map(l => `<path class="link" d="M${fmt(l.sx)},${fmt(l.sy)}L${fmt(l.ex)},${fmt(l.ey)}"/>`),
+        '</g><g class="labels">',
+        ...layout.links.filter(l => l.label).map(l => `<text class="edge-label" x="${fmt(l.mx)}" y="${fmt(l.my)}" text-anchor="middle">${escapeHtml(l.label)}</text>`),
+        '</g><g class="nodes">'
+    ];
+    layout.nodes.forEach(n => {
+        const text = n.isLeaf ? (n.showWeights ? `${n.label} (${formatWeight(n.value)})` : n.label) : formatWeight(n.value);
+        const merging = mergingIds.includes(n.id) ? ' merging' : '';
+        parts.push(`<g class="node ${n.isLeaf ? 'leaf' : 'internal'}${merging}" transform="translate(${fmt(n.x)},${fmt(n.y)})">`
+            + `<circle r="25"/><text text-anchor="middle" dy="0.35em">${escapeHtml(text)}</text>`
+            + (n.code ? `<text class="code-label" text-anchor="middle" dy="2.2em">${escapeHtml(n.code)}</text>` : '')
+            + '</g>');
+    });
+    parts.push('</g>');
+    if (caption) {
+        const top = box.y + box.height - captionHeight + 20;
+        parts.push(`<text class="caption" x="${fmt(box.x + 16)}" y="${fmt(top)}">`
+            + captionLines.map((line, i) => `<tspan x="${fmt(box.x + 16)}" dy="${i ? 20 : 0}">${escapeHtml(line)}</tspan>`).join('')
+            + '</text>');
+    }
+    parts.push('</svg>');
+    return { svg: parts.join('\n'), width: Math.ceil(box.width), height: Math.ceil(box.height) };
+};
+
+// Break text into lines of at most `width` characters at spaces
+function wrapCaption(text, width) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).forEach(word => {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+// Download the current step as a vector SVG
+HuffmanVisualizer.prototype.exportTreeSVG = async function() {
+    if (!this.huffman.steps.length) return;
+    try {
+        const index = this.huffman.currentStep;
+        const { svg } = this.renderStepSvg(index, { fontCss: await treeFontFaceCss() });
+        downloadBytes(new TextEncoder().encode(svg), `huffman-tree-step-${String(index + 1).padStart(3, '0')}.svg`, 'image/svg+xml');
+    } catch (error) {
+        alert(error.message);
+        console.error(error);
+    }
+};
+
+// Print layout with one step per page (tree and description); the browser's
+// print dialog can save it as a multi-page PDF
+HuffmanVisualizer.prototype.printSteps = async function() {
+    const steps = this.huffman.steps;
+    if (!steps.length) return;
+    const win = window.open('', '_blank');
+    if (!win) {
+        alert('Allow pop-ups to print the steps');
+        return;
+    }
+    try {
+        const fontCss = await treeFontFaceCss();
+        const pages = steps.map((step, i) => `<section class="page">
+<h2>step ${i + 1} of ${steps.length}</h2>
+<p>${escapeHtml(step.description || '')}</p>
+${this.renderStepSvg(i, { fontCss }).svg}
+</section>`);
+        win.document.write(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>huffman tree construction</title>
+<style>
+@page { size: landscape; margin: 12mm; }
+body { font-family: Georgia, 'Times New Roman', serif; color: #2d2416; margin: 0; }
+.page { page-break-after: always; break-after: page; display: flex; flex-direction: column; height: 100vh; box-sizing: border-box; padding: 8px; }
+.page:last-child { page-break-after: auto; break-after: auto; }
+h2 { font-size: 18px; margin: 0 0 4px; }
+p { margin: 0 0 8px; font-size: 14px; }
+svg { flex: 1 1 auto; width: 100%; height: auto; max-height: 100%; min-height: 0; }
+</style></head><body>${pages.join('\n')}</body></html>`);
+        win.document.close();
+        win.focus();
+        win.print();
+    } catch (error) {
+        win.close();
+        alert(error.message);
+        console.error(error);
+    }
+};
+
+// Rasterise SVG markup to PNG bytes
+function svgToPngBytes(svg, width, height) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Could not render the step image'));
+                    return;
+                }
+                blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+            }, 'image/png');
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not render the step image'));
+        };
+        img.src = url;
+    });
+}
+
+// Every step as an image: numbered PNGs in a .zip, or one animated PNG
+// with each frame shown for the current animation speed
+HuffmanVisualizer.prototype.exportStepImages = async function(kind) {
+    const steps = this.huffman.steps;
+    if (!steps.length) return;
+    try {
+        const fontCss = await treeFontFaceCss();
+        // All frames share the size of the largest step
+        const sizes = steps.map((_, i) => this.renderStepSvg(i, { caption: true }));
+        const frame = {
+            width: Math.max(...sizes.map(s => s.width)),
+            height: Math.max(...sizes.map(s => s.height))
+        };
+        const frames = [];
+        for (let i = 0; i < steps.length; i++) {
+            const { svg } = this.renderStepSvg(i, { fontCss, caption: true, frame });
+            frames.push(await svgToPngBytes(svg, frame.width, frame.height));
+        }
+        if (kind === 'apng') {
+            downloadBytes(makeApng(frames, this.huffman.animationSpeed || 1000), 'huffman-steps.png', 'image/apng');
+        } else {
+            const files = frames.map((data, i) => ({ name: `step-${String(i + 1).padStart(3, '0')}.png`, data }));
+            downloadBytes(makeZip(files), 'huffman-steps.zip', 'application/zip');
+        }
+    } catch (error) {
+        alert(error.message);
+        console.error(error);
+    }
+};
+
+// Shareable link (see permalink.js): the hash always reflects the current
+// input, options and step, so copying the address bar is enough
+HuffmanVisualizer.prototype.permalinkState = function() {
+    const limit = this.maxCodeLengthInput ? parseInt(this.maxCodeLengthInput.value, 10) : NaN;
+    return {
+        input: this.inputMode || 'manual',
+        freq: Array.from(this.currentFreqMap.entries()),
+        bytes: !!this.huffman.byteSymbols,
+        tieBreak: this.huffman.tieBreak,
+        arity: this.huffman.arity,
+        buildMode: this.buildMode,
+        maxLength: Number.isNaN(limit) ? null : limit,
+        showWeights: this.showWeights.checked,
+        speed: this.speedMultiplier,
+        step: this.huffman.currentStep || 0
+    };
+};
+
+HuffmanVisualizer.prototype.updatePermalink = function() {
+    if (!this.currentFreqMap.size || !this.huffman.steps.length) return;
+    history.replaceState(null, '', encodePermalink(this.permalinkState()));
+};
+
+HuffmanVisualizer.prototype.restorePermalink = function() {
+    let state;
+    try {
+        state = decodePermalink(location.hash);
+    } catch (error) {
+        alert(error.message);
+        console.error(error);
+        return;
+    }
+    if (!state) return;
+    this.openRun(state);
+};
+
+// Rebuild a run (from a link or the history) with its options and open the
+// tree at state.step. The inputs are filled in too, so "back to input" can
+// edit them.
+HuffmanVisualizer.prototype.openRun = function(run) {
+    const state = withValidOptions(run);
+    if (this.huffman.isPlaying) this.togglePlay();
+    if (this.decodeWalk) this.stopDecodeWalk();
+
+    if (this.tieBreakSelect) this.tieBreakSelect.value = state.tieBreak;
+    if (this.aritySelect) this.aritySelect.value = String(state.arity);
+    if (this.maxCodeLengthInput) this.maxCodeLengthInput.value = state.maxLength ?? '';
+    // Adaptive mode replays the text, which a link does not carry
+    this.buildMode = buildModeFor(state.buildMode, state.text || null);
+    if (this.buildModeSelect) this.buildModeSelect.value = this.buildMode;
+    this.showWeights.checked = state.showWeights;
+    this.speedMultiplier = state.speed;
+    this.applySpeedMultiplier();
+
+    const text = state.text || null;
+    if (text && state.input === 'text' && !state.bytes) {
+        if (this.fileBytes) this.clearFile();
+        this.textInput.value = text;
+        document.querySelector('#text-tab').click();
+    } else if (!state.bytes) {
+        this.manualInputs.innerHTML = '';
+        state.freq.forEach(([char, freq]) => this.addInputRow(char, freq));
+        document.querySelector('#manual-tab').click();
+    }
+    const isSample = !!findSample(state.input);
+    if (isSample) this.sampleSelect.value = state.input;
+    this.loadedSample = isSample ? state.input : null;
+    this.inputMode = state.input;
+
+    try {
+        this.huffman.byteSymbols = state.bytes;
+        this.currentFreqMap = new Map(state.freq);
+        this.currentText = text;
+        this.constructTree();
+        this.hideInputSection();
+        this.showTreeSection();
+        this.showCodesSection();
+        this.renderBuiltTree();
+        this.huffman.goToStep(state.step);
+        this.updateTree();
+        this.updateSteps();
+        this.updateControls(true);
+    } catch (error) {
+        alert(error.message);
+        console.error(error);
+    }
+};
+
+// Copy the current link to the clipboard
+HuffmanVisualizer.prototype.copyPermalink = function(button) {
+    this.updatePermalink();
+    const done = (text) => {
+        if (!button) return;
+        button.textContent = text;
+        setTimeout(() => { button.textContent = 'copy link'; }, 1500);
+    };
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(location.href).then(() => done('link copied'), () => done('copy failed'));
+    } else {
+        prompt('copy this link', location.href);
+    }
+};
+
+// Past runs (see session-history.js), listed in the history drawer on the
+// input page
+HuffmanVisualizer.prototype.recordRun = function() {
+    if (!this.history) this.history = new SessionHistory();
+    const { step, ...state } = this.permalinkState();
+    try {
+        this.history.add({ ...state, text: this.currentText, name: this.defaultRunName() });
+    } catch (error) {
+        console.warn(error);
+    }
+};
+
+HuffmanVisualizer.prototype.defaultRunName = function() {
+    const sample = findSample(this.inputMode);
+    if (sample) return sample.name;
+    if (this.inputMode === 'text') {
+        if (this.fileName) return this.fileName;
+        const preview = Array.from(this.currentText || '').slice(0, 30).map(ch => this.huffman.symbolLabel(ch)).join('');
+        return `"${preview}${(this.currentText || '').length > 30 ? '…' : ''}"`;
+    }
+    const symbols = Array.from(this.currentFreqMap.keys());
+    return `${symbols.slice(0, 6).map(ch => this.huffman.symbolLabel(ch)).join(', ')}${symbols.length > 6 ? ', …' : ''}`;
+};
+
+HuffmanVisualizer.prototype.renderHistory = function() {
+    const list = document.getElementById('history-list');
+    if (!list) return;
+    if (!this.history) this.history = new SessionHistory();
+    const runs = this.history.list();
+    if (!runs.length) {
+        list.innerHTML = '<p class="text-muted small">no runs yet; every tree you build is kept here</p>';
+        return;
+    }
+    list.innerHTML = runs.map(run => {
+        const when = new Date(run.createdAt).toLocaleString();
+        const details = [
+            `${run.freq.length} symbols`,
+            run.input === 'text' ? (run.text ? 'text' : 'text (table only)') : run.input,
+            run.buildMode,
+            run.arity !== 2 ? `${run.arity}-ary` : null,
+            run.maxLength ? `max ${run.maxLength} bits` : null
+        ].filter(Boolean).join(' · ');
+        return `<div class="history-run" data-id="${escapeHtml(run.id)}">
+            <div class="d-flex justify-content-between gap-2"><strong>${escapeHtml(run.name)}</strong><small class="text-muted">${escapeHtml(when)}</small></div>
+            <div class="history-meta">${escapeHtml(details)}</div>
+            <div class="btn-group btn-group-sm mt-1" role="group">
+                <button class="btn btn-outline-primary" type="button" data-action="open">open</button>
+                <button class="btn btn-outline-secondary" type="button" data-action="rename">rename</button>
+                <button class="btn btn-outline-secondary" type="button" data-action="duplicate">duplicate</button>
+                <button class="btn btn-outline-danger" type="button" data-action="delete">delete</button>
+            </div>
+        </div>`;
+    }).join('');
+};
+
+HuffmanVisualizer.prototype.handleHistoryAction = function(action, id) {
+    try {
+        const run = this.history.get(id);
+        if (!run) throw new Error('That run is no longer in the history');
+        if (action === 'open') {
+            const drawer = document.getElementById('history-drawer');
+            const instance = drawer && window.bootstrap ? bootstrap.Offcanvas.getInstance(drawer) : null;
+            if (instance) instance.hide();
+            this.openRun({ ...run, step: 0 });
+            return;
+        }
+        if (action === 'rename') {
+            const name = prompt('name for this run', run.name);
+            if (name === null || !name.trim()) return;
+            this.history.rename(id, name.trim());
+        } else if (action === 'duplicate') {
+            this.history.duplicate(id);
+        } else if (action === 'delete') {
+            if (!confirm(`delete "${run.name}" from the history?`)) return;
+            this.history.remove(id);
+        }
+        this.renderHistory();
+    } catch (error) {
+        alert(error.message);
+        console.error(error);
+    }
+};
+
+// Import and export of the manual table as CSV, TSV or JSON (see
+// freq-table.js). Import errors select the offending line.
+HuffmanVisualizer.prototype.importFreqTable = function() {
+    const textarea = document.getElementById('table-import-text');
+    const errorBox = document.getElementById('table-import-error');
+    const text = textarea.value;
+    try {
+        const rows = parseFreqTable(text);
+        this.manualInputs.innerHTML = '';
+        rows.forEach(({ char, freq }) => this.addInputRow(char, freq));
+        this.loadedSample = null;
+        errorBox.textContent = '';
+        errorBox.classList.add('section-hidden');
+    } catch (error) {
+        errorBox.textContent = error.message;
+        errorBox.classList.remove('section-hidden');
+        if (error.line) {
+            const lines = text.split('\n');
+            const start = lines.slice(0, error.line - 1).reduce((sum, line) => sum + line.length + 1, 0);
+            textarea.focus();
+            textarea.setSelectionRange(start, start + (lines[error.line - 1] || '').length);
+        }
+    }
+};
+
+HuffmanVisualizer.prototype.exportFreqTable = function(format) {
+    try {
+        const freqMap = this.readManualTable();
+        if (!freqMap.size) throw new Error('The table is empty');
+        const rows = Array.from(freqMap, ([char, freq]) => ({ char, freq }));
+        const types = { csv: 'text/csv', tsv: 'text/tab-separated-values', json: 'application/json' };
+        downloadBytes(new TextEncoder().encode(formatFreqTable(rows, format)), `frequencies.${format}`, types[format]);
+    } catch (error) {
+        alert(error.message);
+        console.error(error);
+        if (error.input) error.input.focus();
+    }
+};
+
+// Whether the table holds decimal weights or probabilities rather than counts
+HuffmanVisualizer.prototype.weightsAreFractional = function() {
+    return Array.from(this.currentFreqMap.values()).some(freq => !Number.isInteger(Number(freq)));
+};
+
+// Practice mode: before each merge the user picks the nodes they expect to
+// be merged, and on the final tree types the codes of a few symbols
+HuffmanVisualizer.prototype.setPracticeMode = function(on) {
+    const toggle = document.getElementById('practice-mode');
+    if (on && this.buildMode !== 'heap' && this.buildMode !== 'two-queue') {
+        alert('Practice mode asks for the merges of the heap and two-queue constructions; switch the construction first');
+        on = false;
+    }
+    if (toggle) toggle.checked = on;
+    document.body.classList.toggle('quiz-active', on);
+    if (!on) {
+        if (!this.quiz) return;
+        this.quiz = null;
+        this.showCodesSection();
+        this.updateControls(true);
+        this.updateTree();
+        this.updateSteps();
+        return;
+    }
+    if (this.huffman.isPlaying) this.togglePlay();
+    // reset() fills in a fresh quiz and goes back to the first step
+    this.quiz = {};
+    this.reset();
+};
+
+// Whether step() may move on: merges wait until they have been answered
+HuffmanVisualizer.prototype.quizAllowsStep = function() {
+    const current = this.huffman.currentStep;
+    const question = mergeQuestion(this.huffman.steps, current);
+    if (!question || this.quiz.answers.has(current)) return true;
+    this.quiz.notice = `pick the ${question.answerIds.length} nodes that merge next first`;
+    this.updateQuizPanel();
+    return false;
+};
+
+HuffmanVisualizer.prototype.pickQuizNode = function(id) {
+    const current = this.huffman.currentStep;
+    const question = mergeQuestion(this.huffman.steps, current);
+    if (!question || this.quiz.answers.has(current)) return;
+    if (!question.forest.some(n => n.id === id)) {
+        this.quiz.notice = 'that node is already inside a merged tree; pick among the roots in the queue';
+        this.updateQuizPanel();
+        return;
+    }
+    const picked = this.quiz.picked;
+    if (picked.includes(id)) {
+        picked.splice(picked.indexOf(id), 1);
+    } else {
+        picked.push(id);
+    }
+    this.quiz.notice = null;
+    if (picked.length === question.answerIds.length) {
+        const result = gradeMerge(question, picked, (ch) => this.huffman.symbolLabel(ch));
+        this.quiz.answers.set(current, { ...result, picked: picked.slice() });
+        this.quiz.asked++;
+        if (result.correct) this.quiz.correct++;
+        this.quiz.picked = [];
+        // Right answers move on by themselves; wrong ones wait for next so
+        // the explanation can be read
+        if (result.correct) {
+            setTimeout(() => {
+                if (this.quiz && this.huffman.currentStep === current) this.step();
+            }, 700);
+        }
+    }
+    this.updateQuizPanel();
+};
+
+HuffmanVisualizer.prototype.checkQuizCodes = function() {
+    const panel = document.getElementById('quiz-panel');
+    if (!this.quiz || !this.quiz.codeSymbols || !panel) return;
+    const label = (ch) => this.huffman.symbolLabel(ch);
+    this.quiz.codeResults = this.quiz.codeSymbols.map((char, i) => {
+        const input = panel.querySelector(`input[data-quiz-code="${i}"]`);
+        const typed = input ? input.value : '';
+        return { typed, ...gradeCode(char, typed, this.huffman.codes, this.huffman.arity, label) };
+    });
+    this.showCodesSection();
+    this.updateTree();
+    this.updateQuizPanel();
+};
+
+// Score, the current question and feedback; also marks picked nodes on the
+// tree and in the queue panel
+HuffmanVisualizer.prototype.updateQuizPanel = function() {
+    const panel = document.getElementById('quiz-panel');
+    if (!panel) return;
+    const quiz = this.quiz;
+    const nodeSel = this.treeSvg ? this.treeSvg.selectAll('g.node') : null;
+    if (!quiz) {
+        panel.classList.add('section-hidden');
+        panel.innerHTML = '';
+        if (nodeSel) nodeSel.classed('quiz-picked', false).classed('quiz-answer', false);
+        return;
+    }
+    const steps = this.huffman.steps;
+    const current = this.huffman.currentStep;
+    if (quiz.pickStep !== current) {
+        quiz.picked = [];
+        quiz.pickStep = current;
+        quiz.notice = null;
+    }
+    const question = mergeQuestion(steps, current);
+    const answer = quiz.answers.get(current);
+    const nodeLabel = (n) => `${n.char === null ? 'internal' : escapeHtml(this.huffman.symbolLabel(n.char))}(${formatWeight(n.freq)})`;
+    const feedback = (result) => `<div class="quiz-feedback ${result.correct ? 'text-success' : 'text-danger'}">${escapeHtml(result.message)}</div>`;
+
+    let score = `score: <strong>${quiz.correct}</strong> / ${quiz.asked} merges`;
+    if (quiz.codeResults) {
+        score += ` • <strong>${quiz.codeResults.filter(r => r.correct).length}</strong> / ${quiz.codeResults.length} codes`;
+    }
+    let body = '';
+    if (question && answer) {
+        body = feedback(answer) + (answer.correct ? '' : '<div class="small text-muted">the right nodes are outlined; press next to merge them</div>');
+    } else if (question) {
+        const k = question.answerIds.length;
+        const byId = new Map(question.forest.map(n => [n.id, n]));
+        const picked = quiz.picked.map(id => nodeLabel(byId.get(id))).join(' + ');
+        body = `<div>which ${k === 2 ? 'two' : k} nodes merge next? click them on the tree or in the queue</div>`
+            + `<div class="small text-muted">picked ${quiz.picked.length} / ${k}${picked ? `: ${picked}` : ''}</div>`;
+    } else if (current === steps.length - 1) {
+        if (!quiz.codeSymbols) quiz.codeSymbols = codeQuestions(this.huffman.codes, this.currentFreqMap);
+        if (quiz.codeResults) {
+            body = quiz.codeResults.map(feedback).join('');
+        } else {
+            const rows = quiz.codeSymbols.map((char, i) => `<div class="d-flex align-items-center gap-2 mt-1">
+                    <label for="quiz-code-${i}" class="m-0 text-nowrap">code of '${escapeHtml(this.huffman.symbolLabel(char))}'</label>
+                    <input id="quiz-code-${i}" class="form-control form-control-sm" data-quiz-code="${i}" inputmode="numeric" autocomplete="off">
+                </div>`).join('');
+            body = `<div>the tree is complete: read off these codes</div>${rows}`
+                + '<button class="btn btn-outline-primary btn-sm mt-2" type="button" data-quiz-action="check-codes">check codes</button>';
+        }
+    } else {
+        body = '<div class="small text-muted">no merge to predict here; press next</div>';
+    }
+    if (quiz.notice) body += `<div class="small text-danger">${escapeHtml(quiz.notice)}</div>`;
+    panel.classList.remove('section-hidden');
+    panel.innerHTML = `<div class="quiz-score">${score}</div>${body}`;
+
+    const pickedIds = quiz.picked;
+    const answerIds = question && answer && !answer.correct ? question.answerIds : [];
+    if (nodeSel) {
+        nodeSel.classed('quiz-picked', d => pickedIds.includes(d.id)).classed('quiz-answer', d => answerIds.includes(d.id));
+    }
+    document.querySelectorAll('#pq-panel .pq-item[data-id]').forEach(item => {
+        item.classList.toggle('quiz-picked', pickedIds.includes(item.getAttribute('data-id')));
+        item.classList.toggle('quiz-answer', answerIds.includes(item.getAttribute('data-id')));
+    });
+};
+
+// The exercise described by the generator form; errors are shown under it
+HuffmanVisualizer.prototype.currentExercise = function() {
+    const errorBox = document.getElementById('exercise-error');
+    try {
+        const exercise = generateExercise({
+            seed: document.getElementById('exercise-seed').value,
+            size: Number(document.getElementById('exercise-size').value),
+            distribution: document.getElementById('exercise-distribution').value,
+            ties: document.getElementById('exercise-ties').checked
+        });
+        errorBox.textContent = '';
+        errorBox.classList.add('section-hidden');
+        return exercise;
+    } catch (error) {
+        errorBox.textContent = error.message;
+        errorBox.classList.remove('section-hidden');
+        return null;
+    }
+};
+
+HuffmanVisualizer.prototype.loadExercise = function() {
+    const exercise = this.currentExercise();
+    if (!exercise) return;
+    this.manualInputs.innerHTML = '';
+    exercise.rows.forEach(({ char, freq }) => this.addInputRow(char, freq));
+    this.loadedSample = null;
+};
+
+// Printable worksheet for the generator's seed, or its answer key with the
+// codes, bits, merge order and the finished tree
+HuffmanVisualizer.prototype.printExercise = async function(withAnswers) {
+    const exercise = this.currentExercise();
+    if (!exercise) return;
+    const tieBreak = this.tieBreakSelect ? this.tieBreakSelect.value : 'symbol';
+    const arity = this.aritySelect ? parseInt(this.aritySelect.value, 10) : 2;
+    const win = window.open('', '_blank');
+    if (!win) {
+        alert('Allow pop-ups to print the exercise');
+        return;
+    }
+    try {
+        const key = exerciseAnswerKey(exercise, { tieBreak, arity });
+        const k = arity === 2 ? 'two' : arity;
+        const settings = `${exercise.size} symbols • ${EXERCISE_DISTRIBUTIONS[exercise.distribution]} weights`
+            + `${exercise.ties ? ' with ties' : ''} • ${arity === 2 ? 'binary' : `${arity}-ary`} tree • ties broken by ${TIE_BREAK_RULES[tieBreak]}`;
+        const rows = key.rows.map(row => `<tr><td>${escapeHtml(row.char)}</td><td>${row.freq}</td>`
+            + (withAnswers ? `<td class="code">${row.code}</td><td>${row.bits}</td>` : '<td></td><td></td>')
+            + '</tr>').join('');
+        const total = `<tr class="total"><td colspan="3">total bits</td><td>${withAnswers ? key.totalBits : ''}</td></tr>`;
+        let body;
+        if (withAnswers) {
+            // Draw the tree with the visualizer's renderer pointed at the key's own build
+            const view = Object.assign(Object.create(this), { huffman: key.huffman, quiz: null });
+            const tree = view.renderStepSvg(key.huffman.steps.length - 1, { fontCss: await treeFontFaceCss() }).svg;
+            body = `<h2>merges</h2><ol class="merges">${key.merges.map(m => `<li>${escapeHtml(m)}</li>`).join('')}</ol>`
+                + `<h2>tree</h2><div class="tree">${tree}</div>`;
+        } else {
+            // k-ary trees need (n - 1) to be a multiple of (k - 1); the key includes the padding
+            const padding = key.huffman.paddingCount(exercise.rows.length);
+            const padTask = arity === 2 ? ''
+                : padding
+                    ? `<li>add ${padding} zero-weight padding ${padding === 1 ? 'leaf' : 'leaves'}, so that every merge takes exactly ${arity} nodes</li>\n`
+                    : `<li>no padding leaves are needed: ${exercise.rows.length} symbols fill every ${arity}-way merge</li>\n`;
+            body = `<ol class="tasks">
+${padTask}<li>build the huffman tree, merging the ${k} lightest nodes each time; break ties by ${escapeHtml(TIE_BREAK_RULES[tieBreak])}</li>
+<li>write down each symbol's code (${arity === 2 ? 'left = 0, right = 1' : `children left to right = 0..${arity - 1}`})</li>
+<li>compute the bits for each symbol (weight × code length) and the total</li>
+</ol><div class="tree-space"></div>`;
+        }
+        win.document.write(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>huffman exercise ${escapeHtml(exercise.seed)}${withAnswers ? ' (answer key)' : ''}</title>
+<style>
+@page { margin: 15mm; }
+body { font-family: Georgia, 'Times New Roman', serif; color: #2d2416; margin: 0; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 16px; margin: 16px 0 6px; }
+.settings { font-size: 13px; margin: 0 0 12px; }
+table { border-collapse: collapse; font-size: 14px; }
+th, td { border: 1px solid #8b7355; padding: 4px 14px; text-align: left; min-width: 60px; }
+td.code { font-family: 'Courier New', Courier, monospace; }
+tr.total td { font-weight: bold; }
+.tasks, .merges { font-size: 14px; padding-left: 1.4rem; }
+.tree-space { border: 1px dashed #8b7355; height: 110mm; margin-top: 12px; }
+.tree svg { width: 100%; height: auto; max-height: 120mm; }
+</style></head><body>
+<h1>huffman exercise ${escapeHtml(exercise.seed)}${withAnswers ? ': answer key' : ''}</h1>
+<p class="settings">${escapeHtml(settings)}</p>
+<table><thead><tr><th>symbol</th><th>weight</th><th>code</th><th>bits</th></tr></thead><tbody>${rows}${total}</tbody></table>
+${body}
+</body></html>`);
+        win.document.close();
+        win.focus();
+        win.print();
+    } catch (error) {
+        win.close();
+        alert(error.message);
+        console.error(error);
+    }
+};
+
+// Jump straight to a step from the timeline or the steps list
+HuffmanVisualizer.prototype.goToStep = function(index) {
+    if (this.decodeWalk) this.stopDecodeWalk();
+    if (this.huffman.isPlaying) this.togglePlay();
+    const current = this.huffman.currentStep;
+    if (this.quiz) {
+        // Practice mode only skips ahead over merges that have been answered
+        for (let i = current; i < index; i++) {
+            if (mergeQuestion(this.huffman.steps, i) && !this.quiz.answers.has(i)) {
+                index = i;
+                break;
+            }
+        }
+        if (index === current && !this.quizAllowsStep()) {
+            this.updateTimeline();
+            return false;
+        }
+    }
+    if (!this.huffman.goToStep(index)) return false;
+    this.updateTree();
+    this.updateSteps();
+    this.updateControls(true);
+    if (this.huffman.currentStep === this.huffman.steps.length - 1 && !this.initialCodesRendered) {
+        this.updateHuffmanCodes();
+        this.updateCodesTable();
+        this.initialCodesRendered = true;
+    }
+    return true;
+};
+
+// Slider and tick marks under the controls: one tick per step, with merges
+// (or Shannon-Fano splits) and the final tree marked
+HuffmanVisualizer.prototype.updateTimeline = function() {
+    const steps = this.huffman.steps;
+    const ticks = document.getElementById('step-ticks');
+    const position = document.getElementById('step-position');
+    const current = this.huffman.currentStep;
+    if (this.stepSlider) {
+        this.stepSlider.max = Math.max(1, steps.length);
+        this.stepSlider.value = current + 1;
+    }
+    if (position) position.textContent = steps.length ? `step ${current + 1} of ${steps.length}` : '';
+    if (!ticks) return;
+    // Ticks only change with a new build
+    if (this._timelineSteps !== steps) {
+        this._timelineSteps = steps;
+        const last = steps.length - 1;
+        // Offsets follow the slider thumb (1rem wide), which stops half a thumb from each end
+        ticks.innerHTML = steps.map((step, i) => {
+            const pct = last > 0 ? (i / last) * 100 : 0;
+            const kind = i === last ? 'final'
+                : (!step.adaptive && (step.split || step.highlightNodes.length >= 2) ? 'merge' : 'plain');
+            const what = kind === 'final' ? 'final tree' : kind === 'plain' ? 'step' : step.split ? 'split' : 'merge';
+            return `<span class="step-tick ${kind}" data-step="${i}" title="${i + 1}. ${what}" style="left: calc(${pct.toFixed(3)}% + ${(8 - pct * 0.16).toFixed(2)}px)"></span>`;
+        }).join('');
+    }
+    ticks.querySelectorAll('.step-tick').forEach((tick, i) => tick.classList.toggle('current', i === current));
+};
+
+// Keyboard shortcuts for the tree page. Presentation clickers send the
+// arrow or page up/down keys, so either moves between steps.
+HuffmanVisualizer.prototype.handleShortcut = function(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+    const target = e.target instanceof Element ? e.target : document.body;
+    if (target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    const action = shortcutAction(e);
+    if (action === 'help') {
+        e.preventDefault();
+        this.toggleShortcutHelp();
+        return;
+    }
+    // The rest drive a built tree, when nothing is open on top of it
+    const onTreePage = this.treePageContainer && !this.treePageContainer.classList.contains('section-hidden');
+    const exportOverlay = document.getElementById('export-overlay');
+    const covered = document.querySelector('.modal.show, .offcanvas.show')
+        || (exportOverlay && !exportOverlay.classList.contains('section-hidden'));
+    if (!onTreePage || covered || !this.huffman.steps.length) return;
+
+    // Enter or space on a focused node picks it in practice mode
+    const node = target.closest('g.node[data-id]');
+    if (node && this.quiz && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        this.pickQuizNode(node.getAttribute('data-id'));
+        return;
+    }
+    // Focused buttons and links keep Enter and space
+    if ((e.key === 'Enter' || e.key === ' ') && target.closest('button, a')) return;
+
+    switch (action) {
+        case 'step':
+            if (!this.stepBtn.disabled) this.step();
+            break;
+        case 'back':
+            if (!this.backBtn.disabled) this.stepBack();
+            break;
+        case 'play':
+            if (!this.playBtn.disabled) this.togglePlay();
+            break;
+        case 'first':
+            this.goToStep(0);
+            break;
+        case 'last':
+            this.goToStep(this.huffman.steps.length - 1);
+            break;
+        case 'zoom-in':
+            this.zoomIn();
+            break;
+        case 'zoom-out':
+            this.zoomOut();
+            break;
+        case 'zoom-reset':
+            this.zoomReset();
+            break;
+        case 'faster':
+            this.setSpeedMultiplier(this.speedMultiplier + 0.25);
+            break;
+        case 'slower':
+            this.setSpeedMultiplier(this.speedMultiplier - 0.25);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+};
+
+HuffmanVisualizer.prototype.toggleShortcutHelp = function() {
+    const help = document.getElementById('shortcuts-help');
+    if (help && typeof bootstrap !== 'undefined') bootstrap.Modal.getOrCreateInstance(help).toggle();
+};